@@ -0,0 +1,99 @@
+import { fieldError } from './validation.js';
+
+// Photo/document uploads stored in the R2 bucket bound as R2_ATTACHMENTS.
+// Objects live at `attachments/<responseId>/<slot>`; the response record keeps
+// a small summary under `attachments` so listings never touch the bucket.
+
+// Upload slots accepted by /api/submit, keyed by multipart field name
+export const ATTACHMENT_SLOTS = {
+    photo: {
+        label: 'Passport photo',
+        maxBytes: 2 * 1024 * 1024,
+        types: ['image/jpeg', 'image/png', 'image/webp']
+    },
+    document: {
+        label: 'Aadhaar or marksheet scan',
+        maxBytes: 5 * 1024 * 1024,
+        types: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+    }
+};
+
+// Leading bytes of each accepted type, so a renamed file cannot pass as an image
+const MAGIC_BYTES = {
+    'image/jpeg': [[0, [0xFF, 0xD8, 0xFF]]],
+    'image/png': [[0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]]],
+    'image/webp': [[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]],
+    'application/pdf': [[0, [0x25, 0x50, 0x44, 0x46, 0x2D]]]
+};
+
+export function attachmentKey(responseId, slot) {
+    return `attachments/${responseId}/${slot}`;
+}
+
+// True for a multipart/form-data request
+export function isMultipart(request) {
+    return (request.headers.get('Content-Type') || '').toLowerCase().startsWith('multipart/form-data');
+}
+
+// Split a multipart body into plain fields and files for the known slots.
+// Unknown file parts are ignored.
+export async function parseMultipartSubmission(request) {
+    const body = await request.formData();
+    const fields = {};
+    const files = {};
+
+    for (const [name, value] of body.entries()) {
+        if (typeof value === 'string') {
+            if (!ATTACHMENT_SLOTS[name]) {
+                fields[name] = value;
+            }
+        } else if (ATTACHMENT_SLOTS[name] && value.size > 0) {
+            files[name] = value;
+        }
+    }
+
+    return { fields, files };
+}
+
+// Check one upload against its slot, returns a field error (see validation.js) or null
+export async function validateAttachment(slot, file) {
+    const rules = ATTACHMENT_SLOTS[slot];
+
+    if (file.size > rules.maxBytes) {
+        return fieldError(slot, rules.label, 'file_too_large', { maxMb: Math.round(rules.maxBytes / 1024 / 1024) });
+    }
+    if (!rules.types.includes(file.type)) {
+        return fieldError(slot, rules.label, 'file_type', { types: rules.types });
+    }
+
+    const head = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+    const matches = MAGIC_BYTES[file.type].every(([offset, bytes]) =>
+        bytes.every((byte, i) => head[offset + i] === byte)
+    );
+    if (!matches) {
+        return fieldError(slot, rules.label, 'file_content', { type: file.type });
+    }
+
+    return null;
+}
+
+// Upload the files for a response, returns the summary stored on the record
+export async function storeAttachments(bucket, responseId, files) {
+    const stored = {};
+
+    for (const [slot, file] of Object.entries(files)) {
+        await bucket.put(attachmentKey(responseId, slot), await file.arrayBuffer(), {
+            httpMetadata: { contentType: file.type },
+            customMetadata: { originalName: file.name || slot }
+        });
+
+        stored[slot] = {
+            contentType: file.type,
+            size: file.size,
+            name: file.name || slot,
+            uploadedAt: new Date().toISOString()
+        };
+    }
+
+    return stored;
+}
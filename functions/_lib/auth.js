@@ -0,0 +1,59 @@
+import { getStorage } from './storage.js';
+
+// Admin session helpers shared by the API handlers
+
+// Read a cookie value from the request
+export function getCookie(request, name) {
+    const cookieHeader = request.headers.get('Cookie');
+    if (!cookieHeader) return null;
+    
+    const cookies = Object.fromEntries(
+        cookieHeader.split('; ').map(c => c.split('='))
+    );
+    
+    return cookies[name] || null;
+}
+
+// Current admin session as { id, ...sessionData }, null if not logged in
+export async function getAdminSession(request, env) {
+    try {
+        const sessionId = getCookie(request, 'admin_session');
+        if (!sessionId) return null;
+        
+        const storage = getStorage(env);
+        const sessionData = await storage.getSession(sessionId);
+        
+        if (!sessionData || !sessionData.loggedIn) return null;
+        
+        // Check if session expired
+        if (Date.now() - sessionData.timestamp > 24 * 60 * 60 * 1000) {
+            await storage.deleteSession(sessionId);
+            return null;
+        }
+        
+        return { id: sessionId, ...sessionData };
+        
+    } catch (error) {
+        console.error('Session validation error:', error);
+        return null;
+    }
+}
+
+// Validate admin session
+export async function validateAdminSession(request, env) {
+    return (await getAdminSession(request, env)) !== null;
+}
+
+// Standard 401 response for admin-only routes
+export function unauthorizedResponse() {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: 'Unauthorized access'
+        }),
+        {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+}
@@ -0,0 +1,88 @@
+// Submission window and seat cap of a form, from its settings: `opensAt` and
+// `closesAt` (either may be null) and `capacity` (0 for no limit).
+//
+// Times are stored as ISO strings with the IST offset, so the admin sees back
+// the wall-clock time they entered; comparisons use the instant. Every
+// registration holds a seat, waitlisted ones included, so newcomers never
+// jump ahead of the waitlist when the cap is raised. The count is read before
+// the record is written, so simultaneous submissions can go a seat or two
+// over the cap.
+
+const IST_OFFSET = '+05:30';
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// An instant as IST wall-clock time, e.g. 2026-06-01T10:00:00+05:30
+export function toIstIso(date) {
+    return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 19) + IST_OFFSET;
+}
+
+// Parse an admin-entered time (a datetime-local value is read as IST).
+// Returns it in toIstIso() form, or null if it is not a date and time.
+export function parseIstTimestamp(value) {
+    if (typeof value !== 'string' || !TIMESTAMP_PATTERN.test(value.trim())) return null;
+
+    const text = value.trim();
+    const date = new Date(/(Z|[+-]\d{2}:\d{2})$/.test(text) ? text : text + IST_OFFSET);
+    return isNaN(date.getTime()) ? null : toIstIso(date);
+}
+
+// Human-readable IST time for messages
+export function formatIst(iso) {
+    return `${new Date(iso).toLocaleString('en-IN', {
+        timeZone: 'Asia/Kolkata',
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    })} IST`;
+}
+
+// Whether the form takes registrations now, and whether they would be waitlisted:
+// { state: 'scheduled' | 'open' | 'closed', opensAt, closesAt, capacity, seatsLeft, waitlist, serverTime }
+// `cachedCount` lets a display-only caller use a recent count snapshot; anything
+// deciding whether a registration is waitlisted must not.
+export async function getAvailability(storage, formId, settings, { now = new Date(), cachedCount = false } = {}) {
+    let state = 'open';
+    if (settings.opensAt && now < new Date(settings.opensAt)) {
+        state = 'scheduled';
+    } else if (settings.closesAt && now >= new Date(settings.closesAt)) {
+        state = 'closed';
+    }
+
+    const capacity = settings.capacity || null;
+    const seatsLeft = capacity
+        ? Math.max(0, capacity - await storage.countResponses(formId, { cached: cachedCount }))
+        : null;
+
+    return {
+        state: state,
+        opensAt: settings.opensAt,
+        closesAt: settings.closesAt,
+        capacity: capacity,
+        seatsLeft: seatsLeft,
+        waitlist: seatsLeft === 0,
+        serverTime: now.toISOString()
+    };
+}
+
+// 403 for a submission outside the window
+export function windowClosedResponse(availability) {
+    const error = availability.state === 'scheduled'
+        ? `Registrations open on ${formatIst(availability.opensAt)}`
+        : 'Registrations are closed';
+
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: error,
+            data: { availability: availability }
+        }),
+        {
+            status: 403,
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store'
+            }
+        }
+    );
+}
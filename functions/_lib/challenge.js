@@ -0,0 +1,208 @@
+import { sha256Hex, timingSafeEqual } from './edit-token.js';
+import { isMultipart, parseMultipartSubmission } from './attachments.js';
+import { getSigningSecret, hmacSha256 } from './secrets.js';
+
+// Bot protection in front of the public submit and OTP send endpoints.
+//
+// Every form load fetches a ticket from /api/challenge. A ticket is
+// `<issuedAt>.<nonce>.<difficulty>.<signature>`, HMAC-signed so the server
+// can trust when the form was opened without storing anything. A submission
+// must carry its ticket plus whatever the active verifier wants, must leave
+// the honeypot field empty, and must arrive at least MIN_FILL_SECONDS after
+// the ticket was issued. Each ticket is good for one attempt.
+//
+// Pick a verifier with the CHALLENGE_PROVIDER variable:
+//   pow       - self-hosted proof of work: find a solution so that
+//               sha256(`<ticket>:<solution>`) starts with <difficulty> zero bits
+//   turnstile - Cloudflare Turnstile (or any siteverify-compatible service):
+//               TURNSTILE_SITE_KEY, TURNSTILE_SECRET_KEY secret, and
+//               TURNSTILE_VERIFY_URL to point at a local stub
+//   none      - honeypot and fill-time checks only
+
+export const CHALLENGE_CONFIG = {
+    MIN_FILL_SECONDS: 3,
+    TICKET_TTL_SECONDS: 2 * 60 * 60,
+    POW_DIFFICULTY: 16 // leading zero bits, roughly 65k hashes in the browser
+};
+
+// Form fields the challenge layer reads; never part of a schema
+export const CHALLENGE_FIELDS = {
+    HONEYPOT: 'website',
+    TICKET: 'challengeTicket',
+    SOLUTION: 'challengeSolution',
+    TOKEN: 'challengeToken'
+};
+
+const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+const PROVIDERS = {
+    none: () => ({
+        name: 'none',
+        difficulty: 0,
+        async verify() {
+            return true;
+        }
+    }),
+
+    pow: () => ({
+        name: 'pow',
+        difficulty: CHALLENGE_CONFIG.POW_DIFFICULTY,
+        async verify({ ticket, solution }) {
+            if (typeof solution !== 'string' || !/^\d{1,12}$/.test(solution)) return false;
+            return hasLeadingZeroBits(await sha256Hex(`${ticket.raw}:${solution}`), ticket.difficulty);
+        }
+    }),
+
+    turnstile: (env) => ({
+        name: 'turnstile',
+        difficulty: 0,
+        siteKey: env.TURNSTILE_SITE_KEY,
+        async verify({ token, ip }) {
+            if (!env.TURNSTILE_SECRET_KEY) {
+                throw new Error('TURNSTILE_SECRET_KEY is not configured');
+            }
+            if (typeof token !== 'string' || !token) return false;
+
+            const body = new FormData();
+            body.append('secret', env.TURNSTILE_SECRET_KEY);
+            body.append('response', token);
+            if (ip) body.append('remoteip', ip);
+
+            const response = await fetch(env.TURNSTILE_VERIFY_URL || TURNSTILE_VERIFY_URL, {
+                method: 'POST',
+                body: body
+            });
+            if (!response.ok) {
+                throw new Error(`Challenge verifier responded with ${response.status}`);
+            }
+
+            const outcome = await response.json();
+            return outcome.success === true;
+        }
+    })
+};
+
+// Verifier selected by the environment (pow when unset)
+export function getChallengeProvider(env) {
+    const name = env.CHALLENGE_PROVIDER || 'pow';
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown challenge provider: ${name}`);
+    }
+    return factory(env);
+}
+
+// True when a hex digest starts with `bits` zero bits
+function hasLeadingZeroBits(hex, bits) {
+    const fullNibbles = Math.floor(bits / 4);
+    if (!/^0*$/.test(hex.substring(0, fullNibbles))) return false;
+
+    const rest = bits % 4;
+    return rest === 0 || parseInt(hex[fullNibbles], 16) < (16 >> rest);
+}
+
+// HMAC key for tickets: CHALLENGE_SECRET, or a random one kept in KV
+function getTicketSecret(env) {
+    return getSigningSecret(env, 'CHALLENGE_SECRET', 'challenge:secret');
+}
+
+async function signTicket(secret, payload) {
+    const signature = await hmacSha256(secret, payload);
+    return Array.from(signature, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// New ticket for a form load, returns what the page needs to answer it
+export async function issueChallenge(env) {
+    const provider = getChallengeProvider(env);
+    const nonce = Array.from(crypto.getRandomValues(new Uint8Array(12)), b => b.toString(16).padStart(2, '0')).join('');
+    const payload = `${Date.now()}.${nonce}.${provider.difficulty}`;
+
+    return {
+        provider: provider.name,
+        ticket: `${payload}.${await signTicket(await getTicketSecret(env), payload)}`,
+        difficulty: provider.difficulty,
+        siteKey: provider.siteKey,
+        minFillSeconds: CHALLENGE_CONFIG.MIN_FILL_SECONDS
+    };
+}
+
+// Split and authenticate a ticket, returns null when forged or malformed
+async function readTicket(env, raw) {
+    const parts = typeof raw === 'string' ? raw.split('.') : [];
+    if (parts.length !== 4 || !/^\d+$/.test(parts[0]) || !/^[0-9a-f]+$/.test(parts[1]) || !/^\d+$/.test(parts[2])) {
+        return null;
+    }
+
+    const payload = parts.slice(0, 3).join('.');
+    const expected = await signTicket(await getTicketSecret(env), payload);
+    if (!timingSafeEqual(parts[3], expected)) return null;
+
+    return {
+        raw: raw,
+        issuedAt: parseInt(parts[0], 10),
+        nonce: parts[1],
+        difficulty: parseInt(parts[2], 10)
+    };
+}
+
+// Challenge fields of a submission, read from a copy so the handler can still parse the body
+async function readChallengeFields(request) {
+    const copy = request.clone();
+    try {
+        const fields = isMultipart(copy)
+            ? (await parseMultipartSubmission(copy)).fields
+            : await copy.json();
+        return fields && typeof fields === 'object' ? fields : {};
+    } catch (error) {
+        // The handler reports the malformed body
+        return {};
+    }
+}
+
+function usedTicketKey(nonce) {
+    return `challenge-used:${nonce}`;
+}
+
+// Check a submission, returns { passed: true, nonce } or { passed: false, status, error }
+export async function verifyChallenge(context) {
+    const { request, env } = context;
+    const kv = env.KV_RESPONSES;
+    const fields = await readChallengeFields(request);
+
+    // People never see the honeypot, form fillers do
+    if (fields[CHALLENGE_FIELDS.HONEYPOT]) {
+        return { passed: false, status: 400, error: 'Submission rejected' };
+    }
+
+    const provider = getChallengeProvider(env);
+    const ticket = await readTicket(env, fields[CHALLENGE_FIELDS.TICKET]);
+    if (!ticket || ticket.difficulty < provider.difficulty || await kv.get(usedTicketKey(ticket.nonce))) {
+        return { passed: false, status: 403, error: 'Please reload the page and try again' };
+    }
+
+    const age = (Date.now() - ticket.issuedAt) / 1000;
+    if (age > CHALLENGE_CONFIG.TICKET_TTL_SECONDS) {
+        return { passed: false, status: 403, error: 'This form has expired, please reload the page' };
+    }
+    if (age < CHALLENGE_CONFIG.MIN_FILL_SECONDS) {
+        return { passed: false, status: 400, error: 'Submitted too quickly, please try again' };
+    }
+
+    const passed = await provider.verify({
+        ticket: ticket,
+        solution: fields[CHALLENGE_FIELDS.SOLUTION],
+        token: fields[CHALLENGE_FIELDS.TOKEN],
+        ip: request.headers.get('CF-Connecting-IP')
+    });
+    if (!passed) {
+        return { passed: false, status: 403, error: 'Bot check failed, please try again' };
+    }
+
+    return { passed: true, nonce: ticket.nonce };
+}
+
+// Retire a ticket once a submission has been attempted with it
+// (best effort: KV is eventually consistent)
+export async function consumeChallenge(kv, nonce) {
+    await kv.put(usedTicketKey(nonce), '1', { expirationTtl: CHALLENGE_CONFIG.TICKET_TTL_SECONDS });
+}
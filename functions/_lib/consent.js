@@ -0,0 +1,135 @@
+// Privacy notice and parental consent (DPDP Act).
+//
+// Notices are versioned and never edited: publishing stores a new version
+// in `privacy:notices` (oldest first) and the last one is current. Until an
+// admin publishes one, DEFAULT_NOTICE is version 1. The student form shows
+// the current notice and sends back the version the parent agreed to; a
+// submission without consent to the current version is rejected, and the
+// record keeps `consent: { version, at, language }`. Registrations imported
+// from paper forms keep the version printed on the signed form, with
+// `source: 'paper'`.
+
+// Form fields carrying the consent, not usable as schema field names
+export const CONSENT_FIELDS = ['consent', 'consentVersion', 'consentLanguage'];
+
+export const CONSENT_LANGUAGES = ['hi', 'en'];
+
+// Longest notice text accepted per language
+const MAX_NOTICE_LENGTH = 20000;
+
+export const DEFAULT_NOTICE = {
+    version: 1,
+    publishedAt: null,
+    text: {
+        en: 'We collect the student\'s name, date of birth, father\'s name, the parent\'s mobile number and the ' +
+            'student\'s Aadhaar number only to process this admission registration and to contact you about it.\n\n' +
+            'The details are seen only by the admissions staff, are not shared with anyone else unless the law ' +
+            'requires it, and are deleted once the admission process is over.\n\n' +
+            'You may ask to see, correct or erase these details, or withdraw your consent, at any time by ' +
+            'contacting the school office.',
+        hi: 'हम छात्र का नाम, जन्म तिथि, पिता का नाम, अभिभावक का मोबाइल नंबर और छात्र का आधार नंबर केवल इस प्रवेश ' +
+            'पंजीकरण की प्रक्रिया और इसके बारे में आपसे संपर्क करने के लिए लेते हैं।\n\n' +
+            'यह जानकारी केवल प्रवेश कर्मचारी देखते हैं, कानूनी आवश्यकता के बिना किसी और से साझा नहीं की जाती, और ' +
+            'प्रवेश प्रक्रिया पूरी होने के बाद हटा दी जाती है।\n\n' +
+            'आप कभी भी विद्यालय कार्यालय से संपर्क करके यह जानकारी देखने, सुधारने या हटाने, या अपनी सहमति वापस ' +
+            'लेने का अनुरोध कर सकते हैं।'
+    }
+};
+
+// Every published notice, oldest first (DEFAULT_NOTICE until one is published)
+export async function listNotices(kv) {
+    const notices = await kv.get('privacy:notices', 'json');
+    return notices && notices.length > 0 ? notices : [DEFAULT_NOTICE];
+}
+
+export async function getCurrentNotice(kv) {
+    const notices = await listNotices(kv);
+    return notices[notices.length - 1];
+}
+
+// A notice by version, null if there is no such version
+export async function getNotice(kv, version) {
+    const notices = await listNotices(kv);
+    return notices.find(notice => notice.version === version) || null;
+}
+
+// Validate the text of a new notice, returns { accepted, errors }
+export function validateNoticeInput(input) {
+    const errors = [];
+    const text = {};
+
+    for (const lang of CONSENT_LANGUAGES) {
+        const value = input && input.text && typeof input.text[lang] === 'string' ? input.text[lang].trim() : '';
+
+        if (!value) {
+            errors.push(`text.${lang} is required`);
+        } else if (value.length > MAX_NOTICE_LENGTH) {
+            errors.push(`text.${lang} must be at most ${MAX_NOTICE_LENGTH} characters`);
+        } else {
+            text[lang] = value;
+        }
+    }
+
+    return { accepted: { text }, errors };
+}
+
+// Store a new version and make it current
+export async function publishNotice(kv, text) {
+    const notices = await kv.get('privacy:notices', 'json') || [DEFAULT_NOTICE];
+    const notice = {
+        version: notices[notices.length - 1].version + 1,
+        publishedAt: new Date().toISOString(),
+        text: text
+    };
+
+    notices.push(notice);
+    await kv.put('privacy:notices', JSON.stringify(notices));
+    return notice;
+}
+
+// Whether a checkbox value from a JSON or multipart submission is ticked
+function isTicked(value) {
+    return value === true || value === 'true' || value === 'on' || value === '1';
+}
+
+// Consent from submitted form data against the current notice.
+// Returns { consent } with the record's consent entry, or { error: [code, params] }.
+export function readConsent(formData, notice) {
+    if (!isTicked(formData.consent)) {
+        return { error: ['consent_required'] };
+    }
+    if (Number(formData.consentVersion) !== notice.version) {
+        return { error: ['consent_outdated', { version: notice.version }] };
+    }
+
+    return {
+        consent: {
+            version: notice.version,
+            at: new Date().toISOString(),
+            language: CONSENT_LANGUAGES.includes(formData.consentLanguage) ? formData.consentLanguage : 'hi'
+        }
+    };
+}
+
+// Consent on a paper form, for a CSV import row: `consentVersion` is the notice
+// version the parent signed, which may be an earlier one than the current.
+// Returns { consent } or { error: [code, params] } like readConsent().
+export function readPaperConsent(formData, notices) {
+    if (!formData.consentVersion) {
+        return { error: ['consent_required'] };
+    }
+
+    const notice = notices.find(published => published.version === Number(formData.consentVersion));
+    if (!notice) {
+        return { error: ['consent_unknown_version', { version: formData.consentVersion }] };
+    }
+
+    return {
+        consent: {
+            version: notice.version,
+            at: new Date().toISOString(),
+            language: CONSENT_LANGUAGES.includes(formData.consentLanguage) ? formData.consentLanguage : 'hi',
+            source: 'paper'
+        }
+    };
+}
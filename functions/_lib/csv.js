@@ -0,0 +1,83 @@
+// CSV as written by /api/export and read back by /api/import (RFC 4180:
+// comma separated, double-quoted cells with "" for a quote, CRLF or LF rows).
+
+// Export columns ahead of the admin-added fields (which are headed by their
+// English label); `field` is the record key an import fills from the column
+export const RESPONSE_CSV_COLUMNS = [
+    { header: 'Timestamp' },
+    { header: 'Name', field: 'name' },
+    { header: 'Date of Birth', field: 'dob' },
+    { header: 'Mobile No', field: 'mobile' },
+    { header: 'Father Name', field: 'father' },
+    { header: 'Aadhar No', field: 'aadhar' },
+    { header: 'IP Address' }
+];
+
+// Characters a spreadsheet treats as the start of a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a value for CSV. Stored values are kept as typed, so anything a
+// spreadsheet would run as a formula (=, +, -, @) gets a leading apostrophe.
+export function csvCell(value) {
+    let text = value === undefined || value === null ? '' : value.toString();
+    if (FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+// Undo the apostrophe csvCell() puts in front of formula-like values
+export function uncsvCell(text) {
+    return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// Parse CSV text into rows of cells. A leading byte order mark is skipped and
+// blank lines are dropped. Throws on an unterminated quoted cell.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const endCell = () => {
+        row.push(cell);
+        cell = '';
+    };
+    const endRow = () => {
+        endCell();
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted cell');
+    }
+    if (cell !== '' || row.length > 0) endRow();
+
+    return rows;
+}
@@ -0,0 +1,84 @@
+import { DEFAULT_FORM_ID } from './forms.js';
+import { getFieldCrypto } from './field-crypto.js';
+
+// Draft (save-and-resume) helpers shared by /api/drafts and /api/submit.
+// Drafts live at `draft:<code>` with a KV expiration and never touch stats.
+// Aadhar is never kept in a draft, and fields under field-level encryption
+// are stored encrypted like they are on records.
+
+// Fields left out of drafts; the student enters them again before submitting
+export const DRAFT_EXCLUDED_FIELDS = ['aadhar'];
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Generate a random resume code
+export function generateDraftCode() {
+    const bytes = new Uint8Array(CODE_LENGTH);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+// Normalize user-entered codes ("abcd-efgh" -> "ABCDEFGH"), null if malformed
+export function normalizeDraftCode(code) {
+    if (typeof code !== 'string') return null;
+    
+    const cleaned = code.toUpperCase().replace(/[\s-]/g, '');
+    const valid = cleaned.length === CODE_LENGTH &&
+        [...cleaned].every(char => CODE_ALPHABET.includes(char));
+    
+    return valid ? cleaned : null;
+}
+
+// Display form of a code ("ABCD-EFGH")
+export function formatDraftCode(code) {
+    return `${code.substring(0, 4)}-${code.substring(4)}`;
+}
+
+export function draftKey(code) {
+    return `draft:${code}`;
+}
+
+// Stored form of a draft's values
+export async function sealDraftData(env, code, data) {
+    const fieldCrypto = getFieldCrypto(env);
+    if (!fieldCrypto) return data;
+
+    const { id, blindIndex, ...sealed } = await fieldCrypto.encryptRecord({ id: draftKey(code), ...data });
+    return sealed;
+}
+
+// Plain form of a draft's stored values
+export async function openDraftData(env, code, data) {
+    const fieldCrypto = getFieldCrypto(env);
+    if (!fieldCrypto) return data;
+
+    const { id, ...plain } = await fieldCrypto.decryptRecord({ id: draftKey(code), ...data });
+    return plain;
+}
+
+// Delete the drafts on a registration's form that hold its mobile number, or
+// its name and date of birth together (for when the registration is erased).
+// Drafts are not linked to the registration they became, so every draft is read.
+export async function deleteDraftsOf(env, record) {
+    const kv = env.KV_RESPONSES;
+    const formId = record.formId || DEFAULT_FORM_ID;
+
+    let cursor;
+    do {
+        const page = await kv.list({ prefix: 'draft:', cursor });
+        for (const key of page.keys) {
+            const draft = await kv.get(key.name, 'json');
+            if (!draft || draft.formId !== formId) continue;
+
+            const data = await openDraftData(env, draft.code, draft.data).catch(() => ({}));
+            const sameMobile = !!record.mobile && String(data.mobile || '').replace(/\D/g, '') === record.mobile;
+            const samePerson = !!record.name && data.name === record.name && data.dob === record.dob;
+            if (sameMobile || samePerson) {
+                await kv.delete(key.name);
+            }
+        }
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+}
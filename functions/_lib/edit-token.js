@@ -0,0 +1,53 @@
+// Edit tokens let a student correct their own registration.
+// The token handed out is `<responseId>.<secret>`; only a SHA-256 hash of the
+// secret is stored on the record, so a KV dump cannot be used to edit.
+
+// Encode bytes as URL-safe base64 without padding
+export function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Hex SHA-256 of a string
+export async function sha256Hex(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Compare two strings without leaking where they differ
+export function timingSafeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+// New token for a response, returns { token, hash }
+export async function generateEditToken(responseId) {
+    const bytes = new Uint8Array(32);
+    crypto.getRandomValues(bytes);
+    const secret = toBase64Url(bytes);
+    
+    return {
+        token: `${responseId}.${secret}`,
+        hash: await sha256Hex(secret)
+    };
+}
+
+// Split a token into its response ID and secret, null if malformed
+export function parseEditToken(token) {
+    if (typeof token !== 'string') return null;
+    
+    const match = token.trim().match(/^(resp_[a-z0-9]+_[a-z0-9]+)\.([A-Za-z0-9_-]{43})$/);
+    return match ? { responseId: match[1], secret: match[2] } : null;
+}
+
+// Check a secret against the hash stored on a record
+export async function verifyEditSecret(secret, storedHash) {
+    if (!storedHash) return false;
+    return timingSafeEqual(await sha256Hex(secret), storedHash);
+}
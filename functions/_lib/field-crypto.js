@@ -0,0 +1,205 @@
+// Field-level encryption of identity numbers at rest.
+//
+// Encrypted fields are stored as `enc:v<version>:<iv>:<ciphertext>` (base64),
+// AES-GCM with the record ID and field name as additional data, so a value
+// copied onto another record will not decrypt. Next to them the record keeps
+// `blindIndex.<field>`, an HMAC-SHA256 of the digits; the storage backends
+// look up duplicates and exact-match filters by that instead of the value.
+//
+// Configured from the environment:
+//   FIELD_ENCRYPTION_KEYS   secret, JSON map of version to base64 32-byte key,
+//                           e.g. {"1":"..."}; the highest version encrypts
+//   BLIND_INDEX_KEY         secret, base64 HMAC key; not rotated, since every
+//                           stored lookup depends on it
+//   ENCRYPTED_FIELDS        comma-separated, "aadhar" by default, "aadhar,mobile"
+//
+// Without FIELD_ENCRYPTION_KEYS records are stored as submitted.
+//
+// To rotate, add a key with a higher version, deploy, then run
+// scripts/reencrypt-fields.mjs (POST /api/storage/reencrypt). The same job
+// encrypts records stored before encryption was switched on. Keep the old key
+// until it reports that nothing is left.
+
+// Fields that may be encrypted
+export const ENCRYPTABLE_FIELDS = ['aadhar', 'mobile'];
+
+const PREFIX = 'enc:';
+
+function fromBase64(value) {
+    return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}
+
+// Key version of a stored value, null if it is plain text
+function versionOf(value) {
+    const match = typeof value === 'string' && value.match(/^enc:v(\d+):/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Blind indexes are computed over the digits only, like the duplicate checks
+function normalizeValue(value) {
+    return String(value).replace(/\D/g, '');
+}
+
+function parseKeys(json) {
+    let keys;
+    try {
+        keys = JSON.parse(json);
+    } catch (error) {
+        throw new Error('FIELD_ENCRYPTION_KEYS must be a JSON object of version to base64 key');
+    }
+
+    const versions = Object.keys(keys || {}).map(version => parseInt(version, 10));
+    if (versions.length === 0 || versions.some(version => !(version > 0))) {
+        throw new Error('FIELD_ENCRYPTION_KEYS needs at least one positive integer version');
+    }
+    return { keys, current: Math.max(...versions) };
+}
+
+// Encryption helpers for the configured fields, or null when disabled
+export function getFieldCrypto(env) {
+    if (!env.FIELD_ENCRYPTION_KEYS) return null;
+
+    if (!env.BLIND_INDEX_KEY) {
+        throw new Error('BLIND_INDEX_KEY is required when FIELD_ENCRYPTION_KEYS is set');
+    }
+
+    const { keys, current } = parseKeys(env.FIELD_ENCRYPTION_KEYS);
+    const fields = (env.ENCRYPTED_FIELDS || 'aadhar')
+        .split(',')
+        .map(field => field.trim())
+        .filter(Boolean);
+
+    const unknown = fields.filter(field => !ENCRYPTABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`ENCRYPTED_FIELDS contains unsupported fields: ${unknown.join(', ')}`);
+    }
+
+    // Imported once per adapter, on first use
+    const aesKeys = {};
+    let hmacKey = null;
+
+    function aesKey(version) {
+        if (!aesKeys[version]) {
+            if (!keys[version]) {
+                throw new Error(`No field encryption key for version ${version}`);
+            }
+            aesKeys[version] = crypto.subtle.importKey('raw', fromBase64(keys[version]), 'AES-GCM', false, ['encrypt', 'decrypt']);
+        }
+        return aesKeys[version];
+    }
+
+    function blindKey() {
+        if (!hmacKey) {
+            hmacKey = crypto.subtle.importKey(
+                'raw', fromBase64(env.BLIND_INDEX_KEY), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+            );
+        }
+        return hmacKey;
+    }
+
+    const additionalData = (recordId, field) => new TextEncoder().encode(`${recordId}:${field}`);
+
+    async function encryptValue(recordId, field, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const sealed = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: additionalData(recordId, field) },
+            await aesKey(current),
+            new TextEncoder().encode(value)
+        );
+        return `${PREFIX}v${current}:${toBase64(iv)}:${toBase64(sealed)}`;
+    }
+
+    async function decryptValue(recordId, field, value) {
+        const [, version, iv, sealed] = value.split(':');
+        const opened = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(iv), additionalData: additionalData(recordId, field) },
+            await aesKey(parseInt(version.substring(1), 10)),
+            fromBase64(sealed)
+        );
+        return new TextDecoder().decode(opened);
+    }
+
+    async function blindIndex(field, value) {
+        const signature = await crypto.subtle.sign(
+            'HMAC', await blindKey(), new TextEncoder().encode(`${field}:${normalizeValue(value)}`)
+        );
+        return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    return {
+        fields: fields,
+        currentVersion: current,
+
+        blindIndex,
+
+        // Blind indexes for whichever configured fields `data` holds
+        async blindIndexes(data) {
+            const indexes = {};
+            for (const field of fields) {
+                if (data[field]) {
+                    indexes[field] = await blindIndex(field, data[field]);
+                }
+            }
+            return indexes;
+        },
+
+        // Stored form of a plain record (a new object; the input is left alone)
+        async encryptRecord(record) {
+            const stored = { ...record };
+            delete stored.blindIndex;
+
+            const indexes = {};
+            for (const field of fields) {
+                const value = record[field];
+                if (!value) continue;
+
+                // Already in stored form: keep its index
+                if (versionOf(value) !== null) {
+                    if (record.blindIndex && record.blindIndex[field]) {
+                        indexes[field] = record.blindIndex[field];
+                    }
+                    continue;
+                }
+
+                indexes[field] = await blindIndex(field, value);
+                stored[field] = await encryptValue(record.id, field, String(value));
+            }
+
+            if (Object.keys(indexes).length > 0) {
+                stored.blindIndex = indexes;
+            }
+            return stored;
+        },
+
+        // Plain form of a stored record; plain-text legacy values pass through
+        async decryptRecord(record) {
+            if (!record) return record;
+
+            const plain = { ...record };
+            delete plain.blindIndex;
+
+            for (const field of ENCRYPTABLE_FIELDS) {
+                if (versionOf(record[field]) !== null) {
+                    plain[field] = await decryptValue(record.id, field, record[field]);
+                }
+            }
+            return plain;
+        },
+
+        // True when a stored record is encrypted exactly as configured now
+        isCurrent(record) {
+            return ENCRYPTABLE_FIELDS.every(field => {
+                const value = record[field];
+                if (!value) return true;
+                if (!fields.includes(field)) return versionOf(value) === null;
+                return versionOf(value) === current && Boolean(record.blindIndex && record.blindIndex[field]);
+            });
+        }
+    };
+}
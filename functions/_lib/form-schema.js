@@ -0,0 +1,235 @@
+import { formKey } from './forms.js';
+import { ATTACHMENT_SLOTS } from './attachments.js';
+import { CHALLENGE_FIELDS } from './challenge.js';
+import { CONSENT_FIELDS } from './consent.js';
+
+// Form schema shared by /api/submit and /api/schema.
+// Each form's schema lives in KV under its `schema` key; until an admin
+// saves one, DEFAULT_SCHEMA (the original five fields) is used.
+
+// Field types the public form knows how to render
+export const FIELD_TYPES = ['text', 'textarea', 'number', 'date', 'tel', 'email', 'select'];
+
+// Built-in checks that need more than a regex
+export const FIELD_FORMATS = ['name', 'dob', 'mobile', 'aadhar'];
+
+// Fields the rest of the system (stats, duplicate detection, export) relies on
+export const CORE_FIELDS = ['name', 'dob', 'mobile', 'father', 'aadhar'];
+
+// Keys set by the server on every record (and upload slot names), not usable as field names
+export const RESERVED_FIELD_NAMES = [
+    'id', 'formId', 'timestamp', 'ip', 'userAgent', 'updatedAt', 'updateCount',
+    'duplicateOf', 'duplicateMatchedOn', 'attachments', 'reviewStatus', 'reviewedAt',
+    ...Object.keys(ATTACHMENT_SLOTS),
+    ...Object.values(CHALLENGE_FIELDS),
+    ...CONSENT_FIELDS
+];
+
+export const DEFAULT_SCHEMA = {
+    version: 1,
+    fields: [
+        {
+            name: 'name',
+            type: 'text',
+            required: true,
+            minLength: 2,
+            maxLength: 100,
+            format: 'name',
+            icon: '👤',
+            label: { en: 'Full Name', hi: 'पूरा नाम' }
+        },
+        {
+            name: 'dob',
+            type: 'date',
+            required: true,
+            format: 'dob',
+            icon: '📅',
+            label: { en: 'Date of Birth', hi: 'जन्म तिथि' }
+        },
+        {
+            name: 'mobile',
+            type: 'tel',
+            required: true,
+            pattern: '^[6-9][0-9]{9}$',
+            format: 'mobile',
+            icon: '📱',
+            label: { en: 'Mobile Number', hi: 'मोबाइल नंबर' }
+        },
+        {
+            name: 'father',
+            type: 'text',
+            required: true,
+            minLength: 2,
+            maxLength: 100,
+            format: 'name',
+            icon: '👨‍👦',
+            label: { en: "Father's Name", hi: 'पिता का नाम' }
+        },
+        {
+            name: 'aadhar',
+            type: 'text',
+            required: true,
+            pattern: '^[0-9]{12}$',
+            format: 'aadhar',
+            icon: '🪪',
+            label: { en: 'Aadhar Number', hi: 'आधार नंबर' }
+        }
+    ]
+};
+
+// Check an `ageRule` ({ years, months } ages, see checkAgeRule() in
+// public/assets/validation.js):
+//   { cutoffDate, minAge?, maxAge?, byField?, byValue?: { <option value>: { cutoffDate?, minAge?, maxAge? } } }
+function validateAgeRule(rule, fields) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') {
+        return ['ageRule must be an object'];
+    }
+
+    const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        !isNaN(new Date(value).getTime()) && new Date(value).toISOString().slice(0, 10) === value;
+    const isAge = age => age && typeof age === 'object' &&
+        (age.years !== undefined || age.months !== undefined) &&
+        (age.years === undefined || (Number.isInteger(age.years) && age.years >= 0 && age.years <= 100)) &&
+        (age.months === undefined || (Number.isInteger(age.months) && age.months >= 0 && age.months <= 11));
+    const months = age => (age.years || 0) * 12 + (age.months || 0);
+
+    const checkBounds = (bounds, where) => {
+        for (const key of ['minAge', 'maxAge']) {
+            if (bounds[key] !== undefined && !isAge(bounds[key])) {
+                errors.push(`${where}: ${key} must be { "years": 0-100, "months": 0-11 }`);
+            }
+        }
+        if (isAge(bounds.minAge) && isAge(bounds.maxAge) && months(bounds.minAge) > months(bounds.maxAge)) {
+            errors.push(`${where}: minAge cannot be greater than maxAge`);
+        }
+    };
+
+    if (!isDate(rule.cutoffDate)) {
+        errors.push('ageRule: cutoffDate must be a YYYY-MM-DD date');
+    }
+    checkBounds(rule, 'ageRule');
+
+    if (rule.byField !== undefined || rule.byValue !== undefined) {
+        const field = fields.find(f => f && f.name === rule.byField);
+
+        if (!field || field.type !== 'select') {
+            errors.push('ageRule: byField must name a select field');
+        } else if (!Array.isArray(field.options)) {
+            errors.push(`ageRule: byField ${field.name} has no options array`);
+        } else if (!rule.byValue || typeof rule.byValue !== 'object') {
+            errors.push('ageRule: byValue must map option values to age bounds');
+        } else {
+            for (const [value, bounds] of Object.entries(rule.byValue)) {
+                const where = `ageRule.byValue["${value}"]`;
+
+                if (!field.options.some(option => option && option.value === value)) {
+                    errors.push(`${where}: "${value}" is not an option of ${field.name}`);
+                } else if (!bounds || typeof bounds !== 'object') {
+                    errors.push(`${where}: must be an object`);
+                } else {
+                    if (bounds.cutoffDate !== undefined && !isDate(bounds.cutoffDate)) {
+                        errors.push(`${where}: cutoffDate must be a YYYY-MM-DD date`);
+                    }
+                    checkBounds(bounds, where);
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Load the active schema for a form
+export async function getFormSchema(kv, formId) {
+    const schema = await kv.get(formKey(formId, 'schema'), 'json');
+    return schema && Array.isArray(schema.fields) ? schema : DEFAULT_SCHEMA;
+}
+
+// Validate a schema submitted by an admin, returns a list of problems
+export function validateSchemaDefinition(schema) {
+    const errors = [];
+
+    if (!schema || !Array.isArray(schema.fields) || schema.fields.length === 0) {
+        return ['Schema must have a non-empty "fields" array'];
+    }
+
+    const seen = new Set();
+
+    schema.fields.forEach((field, index) => {
+        const where = `fields[${index}]`;
+
+        if (!field || typeof field.name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/.test(field.name)) {
+            errors.push(`${where}: name must start with a letter and contain only letters, digits or _`);
+            return;
+        }
+
+        if (seen.has(field.name)) {
+            errors.push(`${where}: duplicate field name "${field.name}"`);
+        }
+        seen.add(field.name);
+
+        if (RESERVED_FIELD_NAMES.includes(field.name)) {
+            errors.push(`${where}: "${field.name}" is a reserved name`);
+        }
+
+        if (!FIELD_TYPES.includes(field.type)) {
+            errors.push(`${where}: type must be one of ${FIELD_TYPES.join(', ')}`);
+        }
+
+        if (field.format !== undefined && !FIELD_FORMATS.includes(field.format)) {
+            errors.push(`${where}: format must be one of ${FIELD_FORMATS.join(', ')}`);
+        }
+
+        if (!field.label || typeof field.label.en !== 'string' || typeof field.label.hi !== 'string') {
+            errors.push(`${where}: label must have "en" and "hi" strings`);
+        }
+
+        for (const key of ['minLength', 'maxLength']) {
+            if (field[key] !== undefined && (!Number.isInteger(field[key]) || field[key] < 0)) {
+                errors.push(`${where}: ${key} must be a non-negative integer`);
+            }
+        }
+
+        if (field.minLength !== undefined && field.maxLength !== undefined && field.minLength > field.maxLength) {
+            errors.push(`${where}: minLength cannot be greater than maxLength`);
+        }
+
+        if (field.pattern !== undefined) {
+            try {
+                new RegExp(field.pattern);
+            } catch (error) {
+                errors.push(`${where}: pattern is not a valid regular expression`);
+            }
+        }
+
+        if (field.type === 'select') {
+            const validOptions = Array.isArray(field.options) && field.options.length > 0 &&
+                field.options.every(option => option && typeof option.value === 'string' &&
+                    option.label && typeof option.label.en === 'string' && typeof option.label.hi === 'string');
+
+            if (!validOptions) {
+                errors.push(`${where}: select fields need options with a "value" and "en"/"hi" labels`);
+            }
+        }
+    });
+
+    // Core fields may be relabelled or tightened, but not removed or retyped
+    for (const name of CORE_FIELDS) {
+        const field = schema.fields.find(f => f && f.name === name);
+        const original = DEFAULT_SCHEMA.fields.find(f => f.name === name);
+
+        if (!field) {
+            errors.push(`Core field "${name}" cannot be removed`);
+        } else if (field.type !== original.type || field.format !== original.format || !field.required) {
+            errors.push(`Core field "${name}" must stay a required ${original.type} field with format "${original.format}"`);
+        }
+    }
+
+    if (schema.ageRule !== undefined && schema.ageRule !== null) {
+        errors.push(...validateAgeRule(schema.ageRule, schema.fields));
+    }
+
+    return errors;
+}
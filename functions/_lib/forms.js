@@ -0,0 +1,58 @@
+// Form registry and per-form KV key scoping.
+//
+// The original single form is the "default" form and keeps the unprefixed
+// keys (`schema`, `settings`, `responses:index:...`, ...), so existing data needs no migration.
+// Every other form stores the same keys under `form:<formId>:`.
+// Individual records stay at `response:<id>` and carry their `formId`.
+
+export const DEFAULT_FORM_ID = 'default';
+
+export const DEFAULT_FORM = {
+    id: DEFAULT_FORM_ID,
+    title: 'Student Registration',
+    createdAt: null
+};
+
+// Build a form-scoped KV key
+export function formKey(formId, key) {
+    if (!formId || formId === DEFAULT_FORM_ID) return key;
+    return `form:${formId}:${key}`;
+}
+
+// Form ID from the route (`/api/forms/:formId/...`), default otherwise
+export function getFormId(context) {
+    return (context.params && context.params.formId) || DEFAULT_FORM_ID;
+}
+
+// Check a proposed form ID
+export function isValidFormId(formId) {
+    return typeof formId === 'string' && /^[a-z0-9][a-z0-9-]{1,39}$/.test(formId);
+}
+
+// All registered forms, the default form first
+export async function listForms(kv) {
+    const forms = await kv.get('forms:list', 'json') || [];
+    return [DEFAULT_FORM, ...forms];
+}
+
+// Look up a single form, null if it does not exist
+export async function getForm(kv, formId) {
+    if (formId === DEFAULT_FORM_ID) return DEFAULT_FORM;
+    
+    const forms = await kv.get('forms:list', 'json') || [];
+    return forms.find(form => form.id === formId) || null;
+}
+
+// Standard 404 response for unknown form IDs
+export function formNotFoundResponse(formId) {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: `Form not found: ${formId}`
+        }),
+        {
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+}
@@ -0,0 +1,163 @@
+import { sha256Hex } from './edit-token.js';
+import { isMultipart, parseMultipartSubmission } from './attachments.js';
+
+// Idempotency-Key support for POST handlers.
+//
+// A client that may retry sends the same `Idempotency-Key` header on every
+// attempt. The first attempt takes a short lock at `idempotency:<scope>:<hash>`,
+// and a successful response is then kept there for RESULT_TTL_SECONDS and
+// replayed as-is (with `Idempotent-Replayed: true`) for later attempts.
+// Failed attempts release the lock so the retry runs for real. Reusing a key
+// for a different request body is refused with 422.
+//
+// Stored bodies are encrypted with a key derived from the Idempotency-Key,
+// which is never stored, so the edit token in a saved response stays as
+// unreadable to a KV dump as the record's own token hash.
+//
+// KV is eventually consistent, so two attempts hitting different locations
+// within a second or so can both run; the duplicate checks still apply to those.
+
+export const IDEMPOTENCY_CONFIG = {
+    HEADER: 'Idempotency-Key',
+    RESULT_TTL_SECONDS: 24 * 60 * 60,
+    LOCK_TTL_SECONDS: 60 // KV minimum; long enough for a slow upload
+};
+
+const KEY_PATTERN = /^[\x21-\x7E]{8,255}$/;
+
+function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), {
+        status: status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+// Hash of what the request asks for. Multipart bodies are hashed by content,
+// not bytes, because the browser picks a new boundary on every attempt.
+async function requestFingerprint(request) {
+    const copy = request.clone();
+    if (!isMultipart(copy)) {
+        return sha256Hex(await copy.text());
+    }
+
+    const { fields, files } = await parseMultipartSubmission(copy);
+    const fileSummary = Object.keys(files).sort().map(slot => [slot, files[slot].type, files[slot].size]);
+    const sortedFields = Object.keys(fields).sort().map(name => [name, fields[name]]);
+    return sha256Hex(JSON.stringify([sortedFields, fileSummary]));
+}
+
+// AES-GCM key for one Idempotency-Key's stored response
+async function bodyKey(idempotencyKey) {
+    const material = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`replay:${idempotencyKey}`));
+    return crypto.subtle.importKey('raw', material, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+async function sealBody(idempotencyKey, body) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await bodyKey(idempotencyKey), new TextEncoder().encode(body));
+    return {
+        iv: btoa(String.fromCharCode(...iv)),
+        data: btoa(String.fromCharCode(...new Uint8Array(sealed)))
+    };
+}
+
+async function openBody(idempotencyKey, sealed) {
+    const fromBase64 = value => Uint8Array.from(atob(value), c => c.charCodeAt(0));
+    const body = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(sealed.iv) },
+        await bodyKey(idempotencyKey),
+        fromBase64(sealed.data)
+    );
+    return new TextDecoder().decode(body);
+}
+
+// Rebuild a stored response, marked as a replay
+async function replay(idempotencyKey, stored) {
+    return new Response(await openBody(idempotencyKey, stored.body), {
+        status: stored.status,
+        headers: {
+            'Content-Type': stored.contentType || 'application/json',
+            'Cache-Control': 'no-store',
+            'Access-Control-Allow-Origin': '*',
+            'Idempotent-Replayed': 'true'
+        }
+    });
+}
+
+// Run handler() at most once per Idempotency-Key within `scope`.
+// Requests without the header go straight through.
+export async function withIdempotency(context, scope, handler) {
+    const { request, env } = context;
+    const idempotencyKey = request.headers.get(IDEMPOTENCY_CONFIG.HEADER);
+    if (idempotencyKey === null) {
+        return handler();
+    }
+
+    if (!KEY_PATTERN.test(idempotencyKey)) {
+        return jsonResponse(400, {
+            success: false,
+            error: `${IDEMPOTENCY_CONFIG.HEADER} must be 8-255 printable characters`
+        });
+    }
+
+    const kv = env.KV_RESPONSES;
+    const storageKey = `idempotency:${scope}:${await sha256Hex(idempotencyKey)}`;
+    // An unreadable body gets the same 400 the handler would give it
+    let fingerprint;
+    try {
+        fingerprint = await requestFingerprint(request);
+    } catch (error) {
+        return jsonResponse(400, {
+            success: false,
+            error: isMultipart(request) ? 'Invalid form data' : 'Invalid JSON data'
+        });
+    }
+
+    const existing = await kv.get(storageKey, 'json');
+    if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+            return jsonResponse(422, {
+                success: false,
+                error: `${IDEMPOTENCY_CONFIG.HEADER} was already used for a different request`
+            });
+        }
+        if (existing.state === 'processing') {
+            return jsonResponse(409, {
+                success: false,
+                error: 'This request is still being processed. Please retry shortly.'
+            });
+        }
+        return replay(idempotencyKey, existing);
+    }
+
+    await kv.put(storageKey, JSON.stringify({ state: 'processing', fingerprint }), {
+        expirationTtl: IDEMPOTENCY_CONFIG.LOCK_TTL_SECONDS
+    });
+
+    let response;
+    try {
+        response = await handler();
+    } catch (error) {
+        await kv.delete(storageKey);
+        throw error;
+    }
+
+    if (!response.ok) {
+        await kv.delete(storageKey);
+        return response;
+    }
+
+    const body = await response.clone().text();
+    await kv.put(storageKey, JSON.stringify({
+        state: 'done',
+        fingerprint: fingerprint,
+        status: response.status,
+        contentType: response.headers.get('Content-Type'),
+        body: await sealBody(idempotencyKey, body),
+        createdAt: new Date().toISOString()
+    }), {
+        expirationTtl: IDEMPOTENCY_CONFIG.RESULT_TTL_SECONDS
+    });
+
+    return response;
+}
@@ -0,0 +1,134 @@
+import { sha256Hex, timingSafeEqual } from './edit-token.js';
+
+// One-time passwords proving a student can receive SMS on their mobile.
+// `otp:<mobile>` holds the pending code (hashed) with its attempt count and
+// recent send times; a correct code is exchanged for a short-lived
+// verification token at `otp-verified:<token>` that /api/submit consumes.
+
+export const OTP_CONFIG = {
+    LENGTH: 6,
+    TTL_SECONDS: 10 * 60,
+    MAX_ATTEMPTS: 5,
+    RESEND_COOLDOWN_SECONDS: 60,
+    MAX_SENDS_PER_HOUR: 5,
+    VERIFIED_TTL_SECONDS: 30 * 60
+};
+
+function otpKey(mobile) {
+    return `otp:${mobile}`;
+}
+
+function verifiedKey(token) {
+    return `otp-verified:${token}`;
+}
+
+// Random numeric code
+function generateOtp() {
+    const values = new Uint32Array(1);
+    crypto.getRandomValues(values);
+    return (values[0] % 10 ** OTP_CONFIG.LENGTH).toString().padStart(OTP_CONFIG.LENGTH, '0');
+}
+
+// Random verification token
+function generateVerificationToken() {
+    const bytes = new Uint8Array(24);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Bind the hash to the number so a code is useless for any other mobile
+function hashOtp(mobile, code) {
+    return sha256Hex(`${mobile}:${code}`);
+}
+
+// Create a new code for a mobile, returns { code } or { error, retryAfter } when throttled
+export async function issueOtp(kv, mobile) {
+    const now = Date.now();
+    const existing = await kv.get(otpKey(mobile), 'json');
+    const hourAgo = now - 60 * 60 * 1000;
+    const sends = (existing ? existing.sends : []).filter(time => time > hourAgo);
+
+    if (sends.length > 0) {
+        const sinceLast = now - sends[sends.length - 1];
+        if (sinceLast < OTP_CONFIG.RESEND_COOLDOWN_SECONDS * 1000) {
+            return {
+                error: 'Please wait before requesting another OTP',
+                retryAfter: Math.ceil((OTP_CONFIG.RESEND_COOLDOWN_SECONDS * 1000 - sinceLast) / 1000)
+            };
+        }
+    }
+
+    if (sends.length >= OTP_CONFIG.MAX_SENDS_PER_HOUR) {
+        return {
+            error: 'Too many OTP requests for this number. Please try again later.',
+            retryAfter: Math.ceil((sends[0] + 60 * 60 * 1000 - now) / 1000)
+        };
+    }
+
+    const code = generateOtp();
+    sends.push(now);
+
+    // Keep the record for the hour the send limit looks back over
+    await kv.put(otpKey(mobile), JSON.stringify({
+        hash: await hashOtp(mobile, code),
+        expiresAt: now + OTP_CONFIG.TTL_SECONDS * 1000,
+        attempts: 0,
+        sends: sends
+    }), { expirationTtl: 60 * 60 });
+
+    return { code };
+}
+
+// Check a code, returns { token } or { error, status }
+export async function checkOtp(kv, mobile, code) {
+    const pending = await kv.get(otpKey(mobile), 'json');
+
+    if (!pending || !pending.hash || Date.now() > pending.expiresAt) {
+        return { error: 'OTP expired or not requested. Please request a new one.', status: 410 };
+    }
+
+    if (pending.attempts >= OTP_CONFIG.MAX_ATTEMPTS) {
+        return { error: 'Too many wrong attempts. Please request a new OTP.', status: 429 };
+    }
+
+    const matches = timingSafeEqual(await hashOtp(mobile, code), pending.hash);
+
+    if (!matches) {
+        pending.attempts++;
+        await kv.put(otpKey(mobile), JSON.stringify(pending), { expirationTtl: 60 * 60 });
+
+        const remaining = OTP_CONFIG.MAX_ATTEMPTS - pending.attempts;
+        return {
+            error: remaining > 0
+                ? `Incorrect OTP. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`
+                : 'Too many wrong attempts. Please request a new OTP.',
+            status: remaining > 0 ? 400 : 429
+        };
+    }
+
+    // A code works once; the send history stays for throttling
+    pending.hash = null;
+    await kv.put(otpKey(mobile), JSON.stringify(pending), { expirationTtl: 60 * 60 });
+
+    const token = generateVerificationToken();
+    await kv.put(verifiedKey(token), JSON.stringify({
+        mobile: mobile,
+        verifiedAt: new Date().toISOString()
+    }), { expirationTtl: OTP_CONFIG.VERIFIED_TTL_SECONDS });
+
+    return { token };
+}
+
+// True if the token proves ownership of this mobile
+export async function isMobileVerified(kv, token, mobile) {
+    if (typeof token !== 'string' || !/^[a-f0-9]{48}$/.test(token)) return false;
+
+    const verification = await kv.get(verifiedKey(token), 'json');
+    return !!verification && verification.mobile === mobile;
+}
+
+// Use up a verification token once the record is stored
+export async function consumeVerification(kv, token) {
+    if (typeof token !== 'string') return;
+    await kv.delete(verifiedKey(token));
+}
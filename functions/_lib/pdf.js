@@ -0,0 +1,149 @@
+// Minimal single-page PDF writer for printable slips: text in the standard
+// Helvetica fonts, filled rectangles and lines, nothing embedded.
+//
+// Coordinates are PDF points from the bottom-left corner (A4 is 595 x 842).
+// The standard fonts only cover Latin-1, so Devanagari (names typed in Hindi)
+// is printed transliterated to Latin letters and anything else as "?".
+
+export const A4 = { width: 595, height: 842 };
+
+// Devanagari consonants, and the sounds some take with a nukta dot below
+const DEVANAGARI_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+const DEVANAGARI_NUKTA_CONSONANTS = { 'क': 'q', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f' };
+
+// Vowels written on their own, and as signs after a consonant
+const DEVANAGARI_VOWELS = {
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऍ': 'e', 'ऑ': 'o'
+};
+const DEVANAGARI_VOWEL_SIGNS = {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॅ': 'e', 'ॉ': 'o'
+};
+const DEVANAGARI_MARKS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h', '।': '.', '॥': '.', 'ॐ': 'om' };
+
+const VIRAMA = '\u094d';
+const NUKTA = '\u093c';
+
+// Plain Latin spelling of Devanagari text ("आशा देवी" -> "Asha Devi"):
+// consonants carry an "a" unless a vowel sign or virama follows, except at
+// the end of a word, and each word starts with a capital.
+function transliterate(text) {
+    const chars = Array.from(String(text).normalize('NFD'));
+    let out = '';
+    let wordStart = true;
+    let pendingVowel = false;
+
+    const emit = latin => {
+        out += wordStart ? latin.charAt(0).toUpperCase() + latin.slice(1) : latin;
+        wordStart = false;
+    };
+
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+        const consonant = DEVANAGARI_CONSONANTS[char];
+
+        if (consonant !== undefined) {
+            if (pendingVowel) emit('a');
+            if (chars[i + 1] === NUKTA) {
+                emit(DEVANAGARI_NUKTA_CONSONANTS[char] || consonant);
+                i++;
+            } else {
+                emit(consonant);
+            }
+            pendingVowel = true;
+        } else if (DEVANAGARI_VOWEL_SIGNS[char] !== undefined) {
+            emit(DEVANAGARI_VOWEL_SIGNS[char]);
+            pendingVowel = false;
+        } else if (char === VIRAMA || char === NUKTA) {
+            pendingVowel = false;
+        } else if (DEVANAGARI_VOWELS[char] !== undefined || DEVANAGARI_MARKS[char] !== undefined) {
+            if (pendingVowel) emit('a');
+            emit(DEVANAGARI_VOWELS[char] || DEVANAGARI_MARKS[char]);
+            pendingVowel = false;
+        } else if (char >= '\u0966' && char <= '\u096f') {
+            if (pendingVowel) emit('a');
+            emit(String(char.charCodeAt(0) - 0x966));
+            pendingVowel = false;
+        } else {
+            // Anything else ends a Devanagari word, dropping its final "a"
+            out += char;
+            wordStart = !/[\p{L}\p{N}]/u.test(char);
+            pendingVowel = false;
+        }
+    }
+
+    return out.normalize('NFC');
+}
+
+// Escape a string for a PDF literal, replacing what WinAnsi cannot show
+function pdfString(text) {
+    const latin1 = Array.from(transliterate(text), char => (char.charCodeAt(0) <= 0xff ? char : '?')).join('');
+    return `(${latin1.replace(/[\\()]/g, match => `\\${match}`).replace(/[\r\n]+/g, ' ')})`;
+}
+
+function number(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+export function createPdfPage() {
+    const content = [];
+
+    return {
+        // Text with its baseline at (x, y)
+        text(x, y, text, { size = 11, bold = false, gray = 0 } = {}) {
+            content.push(
+                `${number(gray)} g BT /${bold ? 'F2' : 'F1'} ${number(size)} Tf ${number(x)} ${number(y)} Td ${pdfString(text)} Tj ET`
+            );
+        },
+
+        rect(x, y, width, height, { gray = 0 } = {}) {
+            content.push(`${number(gray)} g ${number(x)} ${number(y)} ${number(width)} ${number(height)} re f`);
+        },
+
+        line(x1, y1, x2, y2, { gray = 0.7, width = 0.5 } = {}) {
+            content.push(`${number(gray)} G ${number(width)} w ${number(x1)} ${number(y1)} m ${number(x2)} ${number(y2)} l S`);
+        },
+
+        // Serialise as a complete PDF file
+        toBytes({ title = '' } = {}) {
+            const stream = content.join('\n');
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+                    '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+                `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+                `<< /Title ${pdfString(title)} /Producer (student-form) >>`
+            ];
+
+            let pdf = '%PDF-1.4\n';
+            const offsets = objects.map((body, i) => {
+                const offset = pdf.length;
+                pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+
+            const xref = pdf.length;
+            pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            offsets.forEach(offset => {
+                pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+            });
+            pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+            pdf += `startxref\n${xref}\n%%EOF\n`;
+
+            // Every character is Latin-1, so one byte each
+            return Uint8Array.from(pdf, char => char.charCodeAt(0));
+        }
+    };
+}
@@ -0,0 +1,357 @@
+// Minimal QR code encoder for receipt verification links: byte mode, error
+// correction level M, versions 1-10 (up to 213 bytes). encodeQr() returns the
+// symbol as rows of booleans (true = dark), without the quiet zone.
+//
+// Follows ISO/IEC 18004: Reed-Solomon over GF(256), the usual interleaving
+// and zigzag placement, and the mask with the lowest penalty score.
+
+// Per version: [EC codewords per block, [block count, data codewords per block], ...]
+const BLOCKS_M = {
+    1: [10, [1, 16]],
+    2: [16, [1, 28]],
+    3: [26, [1, 44]],
+    4: [18, [2, 32]],
+    5: [24, [2, 43]],
+    6: [16, [4, 27]],
+    7: [18, [4, 31]],
+    8: [22, [2, 38], [2, 39]],
+    9: [22, [3, 36], [2, 37]],
+    10: [26, [4, 43], [1, 44]]
+};
+
+// Alignment pattern centres per version
+const ALIGNMENT = {
+    1: [], 2: [6, 18], 3: [6, 22], 4: [6, 26], 5: [6, 30],
+    6: [6, 34], 7: [6, 22, 38], 8: [6, 24, 42], 9: [6, 26, 46], 10: [6, 28, 50]
+};
+
+const MASKS = [
+    (r, c) => (r + c) % 2 === 0,
+    (r) => r % 2 === 0,
+    (r, c) => c % 3 === 0,
+    (r, c) => (r + c) % 3 === 0,
+    (r, c) => (Math.floor(r / 2) + Math.floor(c / 3)) % 2 === 0,
+    (r, c) => (r * c) % 2 + (r * c) % 3 === 0,
+    (r, c) => ((r * c) % 2 + (r * c) % 3) % 2 === 0,
+    (r, c) => ((r + c) % 2 + (r * c) % 3) % 2 === 0
+];
+
+// GF(256) tables, primitive polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+function gfMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+// Generator polynomial of the given degree, highest power first
+function generatorPolynomial(degree) {
+    let poly = [1];
+    for (let i = 0; i < degree; i++) {
+        const next = new Array(poly.length + 1).fill(0);
+        poly.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= gfMultiply(coefficient, EXP[i]);
+        });
+        poly = next;
+    }
+    return poly;
+}
+
+// Reed-Solomon error correction codewords for one block
+function errorCorrection(data, degree) {
+    const generator = generatorPolynomial(degree);
+    const remainder = new Array(degree).fill(0);
+
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let i = 0; i < degree; i++) {
+            remainder[i] ^= gfMultiply(generator[i + 1], factor);
+        }
+    });
+    return remainder;
+}
+
+function dataCapacity(version) {
+    const [, ...groups] = BLOCKS_M[version];
+    return groups.reduce((total, [count, size]) => total + count * size, 0);
+}
+
+function countBits(version) {
+    return version < 10 ? 8 : 16;
+}
+
+// Smallest version the bytes fit in
+function chooseVersion(length) {
+    for (let version = 1; version <= 10; version++) {
+        if (4 + countBits(version) + length * 8 <= dataCapacity(version) * 8) return version;
+    }
+    throw new Error(`QR payload too long (${length} bytes)`);
+}
+
+// Mode, length, data, terminator and padding as data codewords
+function dataCodewords(bytes, version) {
+    const capacity = dataCapacity(version);
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4);
+    push(bytes.length, countBits(version));
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    while (bits.length % 8 !== 0) bits.push(0);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+// Split into blocks, add error correction and interleave
+function finalCodewords(data, version) {
+    const [ecLength, ...groups] = BLOCKS_M[version];
+    const blocks = [];
+    let offset = 0;
+
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const block = data.slice(offset, offset + size);
+            offset += size;
+            blocks.push({ data: block, ec: errorCorrection(block, ecLength) });
+        }
+    });
+
+    const result = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < ecLength; i++) {
+        blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+}
+
+// 15-bit format information for level M and a mask
+function formatBits(mask) {
+    const data = mask; // level M is 00
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    return ((data << 10) | remainder) ^ 0x5412;
+}
+
+// 18-bit version information (versions 7 and up)
+function versionBits(version) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    return (version << 12) | remainder;
+}
+
+class QrSymbol {
+    constructor(version) {
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.drawFunctionPatterns(version);
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    drawFunctionPatterns(version) {
+        const size = this.size;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap a finder
+        const centres = ALIGNMENT[version];
+        const last = centres.length - 1;
+        centres.forEach((cx, i) => {
+            centres.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas; the real bits go in once the mask is known
+        this.drawFormat(0);
+
+        if (version >= 7) {
+            const bits = versionBits(version);
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                this.setFunction(a, b, dark);
+                this.setFunction(b, a, dark);
+            }
+        }
+    }
+
+    drawFormat(mask) {
+        const size = this.size;
+        const bits = formatBits(mask);
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+        this.setFunction(8, size - 8, true);
+    }
+
+    // Zigzag placement of the codeword bits, two columns at a time
+    drawCodewords(codewords) {
+        const size = this.size;
+        let index = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+
+            for (let step = 0; step < size; step++) {
+                const y = upward ? size - 1 - step : step;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.reserved[y][x]) continue;
+                    if (index < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                    }
+                    index++;
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && MASKS[mask](y, x)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // ISO/IEC 18004 penalty score (lower reads better)
+    penalty() {
+        const size = this.size;
+        const grid = this.modules;
+        let score = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(grid[i]);
+            lines.push(grid.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            // Runs of five or more
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+
+            // Finder-like 1:1:3:1:1 with four light modules on one side
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            for (const pattern of ['10111010000', '00001011101']) {
+                for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) {
+                    score += 40;
+                }
+            }
+        });
+
+        // 2x2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = grid[y][x];
+                if (dark === grid[y][x + 1] && dark === grid[y + 1][x] && dark === grid[y + 1][x + 1]) {
+                    score += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light
+        const darkCount = grid.reduce((total, row) => total + row.filter(Boolean).length, 0);
+        const percent = (darkCount * 100) / (size * size);
+        score += Math.floor(Math.abs(percent - 50) / 5) * 10;
+
+        return score;
+    }
+}
+
+// Encode a string (UTF-8) as a QR symbol
+export function encodeQr(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const version = chooseVersion(bytes.length);
+    const codewords = finalCodewords(dataCodewords(bytes, version), version);
+
+    let best = null;
+    let bestScore = Infinity;
+
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        const symbol = new QrSymbol(version);
+        symbol.drawCodewords(codewords);
+        symbol.applyMask(mask);
+        symbol.drawFormat(mask);
+
+        const score = symbol.penalty();
+        if (score < bestScore) {
+            best = symbol;
+            bestScore = score;
+        }
+    }
+
+    return best.modules;
+}
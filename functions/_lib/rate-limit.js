@@ -0,0 +1,140 @@
+import { sha256Hex } from './edit-token.js';
+
+// Rate limiting shared by every isolate, backed by KV.
+//
+// Sliding window approximated from two fixed windows: the previous window's
+// count is weighted by how much of it still overlaps the sliding window.
+// Counters live at `ratelimit:<route>:<client>:<window>` and expire on their
+// own. KV is eventually consistent, so bursts spread over several locations
+// can briefly overshoot a limit; sustained abuse cannot.
+//
+// Clients are keyed on their IP alone: browser headers are chosen by the
+// client, so mixing them in would let one machine mint fresh budgets. A school
+// sending many students through one NAT needs a raised RATE_LIMIT_SUBMIT.
+
+// Default policies per route; override with RATE_LIMIT_<ROUTE>="<limit>/<window seconds>"
+export const RATE_LIMITS = {
+    submit: { limit: 10, windowSeconds: 15 * 60 },
+    login: { limit: 5, windowSeconds: 15 * 60 },
+    status: { limit: 10, windowSeconds: 15 * 60 },
+    status_subject: { limit: 5, windowSeconds: 60 * 60 },
+    rights: { limit: 10, windowSeconds: 15 * 60 },
+    drafts: { limit: 20, windowSeconds: 15 * 60 },
+    otp: { limit: 5, windowSeconds: 60 * 60 }
+};
+
+// KV rejects expirations shorter than a minute
+const MIN_TTL_SECONDS = 60;
+
+// Policy for a route, taking environment overrides into account
+export function getRateLimitPolicy(env, route) {
+    const override = env[`RATE_LIMIT_${route.toUpperCase()}`];
+    const match = typeof override === 'string' && override.match(/^(\d+)\/(\d+)$/);
+
+    if (match && parseInt(match[1], 10) > 0 && parseInt(match[2], 10) > 0) {
+        return { limit: parseInt(match[1], 10), windowSeconds: parseInt(match[2], 10) };
+    }
+    return RATE_LIMITS[route];
+}
+
+// Stable client key from the connecting IP, which Cloudflare sets itself
+async function clientKey(request) {
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    return (await sha256Hex(`ip|${ip}`)).substring(0, 32);
+}
+
+function counterKey(route, client, window) {
+    return `ratelimit:${route}:${client}:${window}`;
+}
+
+// Count this request against a route's limit.
+// Returns { allowed, limit, remaining, reset, windowSeconds }; reset is in seconds.
+// With a `subject` (e.g. the record being looked up) the budget belongs to that
+// subject instead of the client, which holds however many clients share it.
+export async function checkRateLimit(context, route, subject = null) {
+    const { request, env } = context;
+    const kv = env.KV_RESPONSES;
+    const policy = getRateLimitPolicy(env, route);
+    const windowMs = policy.windowSeconds * 1000;
+
+    const now = Date.now();
+    const window = Math.floor(now / windowMs);
+    const elapsed = (now % windowMs) / windowMs;
+    const client = subject
+        ? (await sha256Hex(`subject|${subject}`)).substring(0, 32)
+        : await clientKey(request);
+
+    const [current, previous] = await Promise.all([
+        kv.get(counterKey(route, client, window)),
+        kv.get(counterKey(route, client, window - 1))
+    ]);
+    const currentCount = parseInt(current || '0', 10);
+    const estimated = Math.floor(parseInt(previous || '0', 10) * (1 - elapsed)) + currentCount;
+
+    const result = {
+        allowed: estimated < policy.limit,
+        limit: policy.limit,
+        remaining: Math.max(0, policy.limit - estimated - 1),
+        reset: Math.ceil((1 - elapsed) * policy.windowSeconds),
+        windowSeconds: policy.windowSeconds
+    };
+
+    // Rejected requests are not counted, so a client is never locked out past the window
+    if (result.allowed) {
+        await kv.put(counterKey(route, client, window), String(currentCount + 1), {
+            expirationTtl: Math.max(MIN_TTL_SECONDS, policy.windowSeconds * 2)
+        });
+    }
+
+    return result;
+}
+
+// Forget a client's usage of a route (e.g. after a successful login)
+export async function resetRateLimit(context, route) {
+    const { request, env } = context;
+    const policy = getRateLimitPolicy(env, route);
+    const window = Math.floor(Date.now() / (policy.windowSeconds * 1000));
+    const client = await clientKey(request);
+
+    await Promise.all([
+        env.KV_RESPONSES.delete(counterKey(route, client, window)),
+        env.KV_RESPONSES.delete(counterKey(route, client, window - 1))
+    ]);
+}
+
+// Standard RateLimit-* headers (IETF draft) for a check result
+export function rateLimitHeaders(result) {
+    return {
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.reset),
+        'RateLimit-Policy': `${result.limit};w=${result.windowSeconds}`
+    };
+}
+
+// Copy a response, adding the RateLimit-* headers
+export function withRateLimitHeaders(response, result) {
+    const limited = new Response(response.body, response);
+    for (const [name, value] of Object.entries(rateLimitHeaders(result))) {
+        limited.headers.set(name, value);
+    }
+    return limited;
+}
+
+// 429 for a rejected request
+export function rateLimitedResponse(result, message) {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: message
+        }),
+        {
+            status: 429,
+            headers: {
+                'Content-Type': 'application/json',
+                'Retry-After': String(result.reset),
+                ...rateLimitHeaders(result)
+            }
+        }
+    );
+}
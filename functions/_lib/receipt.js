@@ -0,0 +1,139 @@
+import { encodeQr } from './qr.js';
+import { createPdfPage, A4 } from './pdf.js';
+import { maskValue } from './responses.js';
+import { toBase64Url, timingSafeEqual } from './edit-token.js';
+import { getSigningSecret, hmacSha256 } from './secrets.js';
+import { ATTACHMENT_SLOTS } from './attachments.js';
+
+// Acknowledgement slips for /api/receipt/:id and the signed verification
+// links printed on them as a QR code. The signature lets anyone holding the
+// slip confirm it at /api/receipt/:id/verify without being able to guess
+// links for other registrations. Signed with RECEIPT_SECRET, or a random
+// secret kept in KV.
+
+const MARGIN = 50;
+const QR_SIZE = 130;
+const FOOTER_TOP = 92;
+const MAX_VALUE_LENGTH = 60;
+
+function getReceiptSecret(env) {
+    return getSigningSecret(env, 'RECEIPT_SECRET', 'receipt:secret');
+}
+
+async function signature(env, record) {
+    const mac = await hmacSha256(await getReceiptSecret(env), `receipt:${record.id}:${record.timestamp}`);
+    return toBase64Url(mac.slice(0, 16));
+}
+
+// Link encoded in a slip's QR code
+export async function receiptVerificationUrl(env, origin, record) {
+    return `${origin}/api/receipt/${encodeURIComponent(record.id)}/verify?sig=${await signature(env, record)}`;
+}
+
+// Check the signature from a verification link against a record
+export async function verifyReceiptSignature(env, record, sig) {
+    return timingSafeEqual(await signature(env, record), sig || '');
+}
+
+// Date and time as printed on slips (Indian Standard Time)
+export function formatReceiptTime(iso) {
+    return `${new Date(iso).toLocaleString('en-IN', {
+        timeZone: 'Asia/Kolkata',
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    })} IST`;
+}
+
+// What a slip shows for a field: Aadhar masked, long values cut short
+function displayValue(field, value) {
+    if (value === undefined || value === null || value === '') return '-';
+
+    const text = field.format === 'aadhar' || field.name === 'aadhar'
+        ? maskValue('aadhar', value)
+        : String(value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.substring(0, MAX_VALUE_LENGTH - 3)}...` : text;
+}
+
+function fieldLabel(field) {
+    return (field.label && (field.label.en || field.label.hi)) || field.name;
+}
+
+// Draw a QR symbol with its quiet zone, top-left corner at (x, top)
+function drawQr(page, modules, x, top, size) {
+    const quiet = 4;
+    const unit = size / (modules.length + quiet * 2);
+
+    modules.forEach((row, r) => {
+        row.forEach((dark, c) => {
+            if (dark) {
+                page.rect(x + (c + quiet) * unit, top - (r + quiet + 1) * unit, unit, unit);
+            }
+        });
+    });
+}
+
+// The slip as PDF bytes
+export function buildReceiptPdf({ record, form, schema, verifyUrl }) {
+    const page = createPdfPage();
+    const right = A4.width - MARGIN;
+    let y = A4.height - 60;
+
+    page.text(MARGIN, y, form ? form.title : 'Registration', { size: 18, bold: true });
+    y -= 22;
+    page.text(MARGIN, y, 'Acknowledgement of submission', { size: 12, gray: 0.35 });
+    y -= 14;
+    page.line(MARGIN, y, right, y);
+
+    // QR code in the top-right corner, next to the reference details
+    const qrTop = y - 10;
+    drawQr(page, encodeQr(verifyUrl), right - QR_SIZE, qrTop, QR_SIZE);
+    page.text(right - QR_SIZE + 22, qrTop - QR_SIZE - 4, 'Scan to verify', { size: 9, gray: 0.35 });
+
+    y -= 36;
+    const reference = [
+        ['Response ID', record.id],
+        ['Submitted', formatReceiptTime(record.timestamp)]
+    ];
+    if (record.updatedAt) {
+        reference.push(['Last updated', formatReceiptTime(record.updatedAt)]);
+    }
+
+    reference.forEach(([label, value]) => {
+        page.text(MARGIN, y, label.toUpperCase(), { size: 8, bold: true, gray: 0.45 });
+        page.text(MARGIN, y - 15, value, { size: 13, bold: label === 'Response ID' });
+        y -= 40;
+    });
+
+    y = Math.min(y, qrTop - QR_SIZE - 30);
+    page.text(MARGIN, y, 'Submitted details', { size: 12, bold: true });
+    y -= 8;
+    page.line(MARGIN, y, right, y);
+    y -= 20;
+
+    const rows = [
+        ...schema.fields.map(field => [fieldLabel(field), displayValue(field, record[field.name])]),
+        ...Object.keys(record.attachments || {}).map(slot => [
+            (ATTACHMENT_SLOTS[slot] && ATTACHMENT_SLOTS[slot].label) || slot,
+            'Uploaded'
+        ])
+    ];
+
+    // One page only: stop above the footer
+    for (const [label, value] of rows) {
+        if (y < FOOTER_TOP + 20) {
+            page.text(MARGIN, y, 'More fields were submitted than fit on this slip.', { size: 9, gray: 0.35 });
+            break;
+        }
+        page.text(MARGIN, y, label, { size: 10, gray: 0.35 });
+        page.text(MARGIN + 150, y, value, { size: 11 });
+        y -= 20;
+    }
+
+    // Footer with the link spelled out for those who cannot scan
+    page.line(MARGIN, FOOTER_TOP, right, FOOTER_TOP);
+    page.text(MARGIN, FOOTER_TOP - 16, 'Keep this slip as proof of submission. To confirm it, scan the QR code or open:', { size: 9, gray: 0.35 });
+    page.text(MARGIN, FOOTER_TOP - 30, verifyUrl, { size: 8 });
+    page.text(MARGIN, FOOTER_TOP - 48, `Generated ${formatReceiptTime(new Date().toISOString())}`, { size: 8, gray: 0.5 });
+
+    return page.toBytes({ title: `Acknowledgement ${record.id}` });
+}
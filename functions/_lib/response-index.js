@@ -0,0 +1,122 @@
+import { formKey } from './forms.js';
+
+// Per-form listing of responses without read-modify-write.
+//
+// Every response gets its own key, `responses:index:<timestamp>:<id>` (form
+// scoped), carrying a short summary as metadata. Concurrent submissions write
+// different keys, so none can overwrite another's entry, and the list, the
+// newest-first view and the counters all come from one `kv.list` prefix scan.
+// ISO timestamps sort lexicographically, so the scan is in submission order.
+//
+// KV list results can trail writes by up to a minute at other locations,
+// but an entry, once written, is never lost.
+//
+// This replaces the old `responses:list`, `responses:recent`, `stats` and
+// `last_submission_date` keys; a form still holding them is migrated the first
+// time an isolate lists it, and not looked for again by that isolate.
+//
+// Counting a form is a full scan too. Pages that only display the count (the
+// public availability check) may read it from `responses:count`, a snapshot
+// of a scan kept for COUNT_TTL_SECONDS and never updated in place; capacity
+// checks always count the index itself.
+
+const INDEX_PREFIX = 'responses:index:';
+const COUNT_KEY = 'responses:count';
+const COUNT_TTL_SECONDS = 60; // KV minimum
+
+// Forms this isolate has already migrated (or found nothing to migrate for)
+const migratedForms = new Set();
+
+// Legacy keys rebuilt into the index by migrateLegacyIndex()
+export const LEGACY_INDEX_KEYS = ['responses:list', 'responses:recent', 'stats', 'last_submission_date'];
+
+function indexKey(formId, record) {
+    return formKey(formId, `${INDEX_PREFIX}${record.timestamp}:${record.id}`);
+}
+
+// Summary kept in key metadata (KV allows 1 KB)
+function toIndexEntry(record) {
+    return {
+        id: record.id,
+        name: (record.name || '').substring(0, 100),
+        mobile: record.mobile || '',
+        timestamp: record.timestamp
+    };
+}
+
+// List a response under its form
+export async function addToIndex(kv, formId, record) {
+    await kv.put(indexKey(formId, record), '', { metadata: toIndexEntry(record) });
+}
+
+// Refresh the summary after a response changed (same key: timestamp and ID never change)
+export const updateIndexEntry = addToIndex;
+
+// Drop a response from its form's listing
+export async function removeFromIndex(kv, formId, record) {
+    await kv.delete(indexKey(formId, record));
+}
+
+// Move a form's data from the old single-key list and counters into the index
+export async function migrateLegacyIndex(kv, formId) {
+    if (migratedForms.has(formId)) return;
+
+    const legacyList = await kv.get(formKey(formId, 'responses:list'), 'json');
+    if (legacyList) {
+        for (const id of legacyList) {
+            const record = await kv.get(`response:${id}`, 'json');
+            if (record) {
+                await addToIndex(kv, formId, record);
+            }
+        }
+
+        await Promise.all([...LEGACY_INDEX_KEYS, COUNT_KEY].map(key => kv.delete(formKey(formId, key))));
+    }
+
+    migratedForms.add(formId);
+}
+
+// Every index entry of a form, oldest first
+export async function listIndex(kv, formId) {
+    await migrateLegacyIndex(kv, formId);
+
+    const entries = [];
+    let cursor;
+    do {
+        const page = await kv.list({ prefix: formKey(formId, INDEX_PREFIX), cursor });
+        page.keys.forEach(key => {
+            if (key.metadata) entries.push(key.metadata);
+        });
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    return entries;
+}
+
+// Number of responses in a form. With `cached`, a snapshot up to
+// COUNT_TTL_SECONDS old may be returned; a fresh scan writes a new one.
+export async function countIndex(kv, formId, { cached = false } = {}) {
+    if (cached) {
+        const snapshot = await kv.get(formKey(formId, COUNT_KEY), 'json');
+        if (snapshot) return snapshot.count;
+    }
+
+    const count = (await listIndex(kv, formId)).length;
+    if (cached) {
+        await kv.put(formKey(formId, COUNT_KEY), JSON.stringify({ count }), {
+            expirationTtl: COUNT_TTL_SECONDS
+        });
+    }
+    return count;
+}
+
+// Counters for the admin dashboard, derived from the index entries
+export function computeStats(entries, now = new Date()) {
+    const today = now.toISOString().split('T')[0];
+
+    return {
+        total: entries.length,
+        today: entries.filter(entry => entry.timestamp.startsWith(today)).length,
+        lastUpdated: entries.length > 0 ? entries[entries.length - 1].timestamp : null
+    };
+}
@@ -0,0 +1,61 @@
+import { attachmentKey } from './attachments.js';
+
+// Record-level helpers shared by the handlers that create or change responses.
+// Persistence itself goes through the storage adapter (storage.js).
+
+// Generate unique response ID
+export function generateResponseId() {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 9);
+    return `resp_${timestamp}_${random}`;
+}
+
+// Fields looked up for duplicate detection
+export const INDEXED_FIELDS = ['aadhar', 'mobile'];
+
+// Value a stored record is looked up by: the blind index of an encrypted
+// field (see field-crypto.js), otherwise the value itself
+export function lookupValue(record, field) {
+    return (record.blindIndex && record.blindIndex[field]) || record[field];
+}
+
+// Identity numbers the admin API masks unless revealed one record at a time
+// (POST /api/responses/:id/reveal, which is audited)
+export const MASKED_FIELDS = ['aadhar', 'mobile'];
+
+// Strip server-only secrets before a record leaves the API
+export function toAdminView(record) {
+    const { editTokenHash, ...view } = record;
+    return view;
+}
+
+// Last four digits only: "XXXX XXXX 1234" for Aadhar, "XXXXXX7890" for mobile
+export function maskValue(field, value) {
+    if (!value) return value;
+
+    const digits = String(value).replace(/\D/g, '');
+    const lastFour = digits.slice(-4);
+    return field === 'aadhar'
+        ? `XXXX XXXX ${lastFour}`
+        : `${'X'.repeat(Math.max(digits.length - 4, 0))}${lastFour}`;
+}
+
+// Admin view with MASKED_FIELDS masked
+export function toMaskedView(record) {
+    const view = toAdminView(record);
+    MASKED_FIELDS.forEach(field => {
+        if (view[field]) view[field] = maskValue(field, view[field]);
+    });
+    return view;
+}
+
+// Remove a response from storage together with its uploaded files
+export async function deleteResponse(storage, bucket, record) {
+    await storage.deleteResponse(record);
+
+    if (bucket && record.attachments) {
+        await Promise.all(
+            Object.keys(record.attachments).map(slot => bucket.delete(attachmentKey(record.id, slot)))
+        );
+    }
+}
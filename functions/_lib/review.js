@@ -0,0 +1,23 @@
+// Review status of a registration, set by admins (PATCH /api/responses/:id)
+// and shown to students by the public lookup (/api/status). Records without
+// a `reviewStatus` are pending; registrations past a form's capacity start
+// out waitlisted, and an admin offers one a seat by moving it on.
+
+export const REVIEW_STATUSES = {
+    pending: { en: 'Received, awaiting review', hi: 'प्राप्त, समीक्षा बाकी' },
+    waitlisted: { en: 'Waitlisted, all seats are taken', hi: 'प्रतीक्षा सूची में, सभी सीटें भरी हैं' },
+    in_review: { en: 'Under review', hi: 'समीक्षा जारी' },
+    needs_correction: { en: 'Correction needed', hi: 'सुधार आवश्यक' },
+    approved: { en: 'Approved', hi: 'स्वीकृत' },
+    rejected: { en: 'Not approved', hi: 'अस्वीकृत' }
+};
+
+export const DEFAULT_REVIEW_STATUS = 'pending';
+
+export function isValidReviewStatus(status) {
+    return Object.prototype.hasOwnProperty.call(REVIEW_STATUSES, status);
+}
+
+export function getReviewStatus(record) {
+    return isValidReviewStatus(record.reviewStatus) ? record.reviewStatus : DEFAULT_REVIEW_STATUS;
+}
@@ -0,0 +1,245 @@
+import { DEFAULT_FORM_ID } from './forms.js';
+import { findMissingFields, validateAgainstSchema } from './validation.js';
+import { MASKED_FIELDS, maskValue } from './responses.js';
+
+// Data principal rights (DPDP Act): a student or parent can download their
+// registration, and ask for it to be corrected or erased.
+//
+// They prove who they are once, with a mobile OTP (every registration with
+// that number on the form) or a response ID plus date of birth (that one
+// registration), and get a short-lived token at `rights-session:<token>`
+// naming the registrations it covers. The response ID and birth date are both
+// on the acknowledgement slip, so only a mobile OTP session downloads Aadhar
+// and mobile in full; the others get them masked. Requests are kept at
+// `rights-request:<id>` with their summary in the key metadata, so the admin
+// queue is read a list page at a time. Nothing changes until an admin
+// approves: an approved correction is applied like a student edit, an
+// approved erasure deletes the record, its versions, lookups, attachments,
+// webhook deliveries and matching drafts (and the KV copy of a record moved
+// to D1), and strips every request about it down to what shows the erasure
+// happened.
+
+export const RIGHTS_CONFIG = {
+    SESSION_TTL_SECONDS: 30 * 60,
+    MAX_NOTE_LENGTH: 1000,
+    QUEUE_PAGE_SIZE: 100
+};
+
+export const RIGHTS_REQUEST_TYPES = {
+    correction: { en: 'Correction', hi: 'सुधार' },
+    erasure: { en: 'Erasure', hi: 'हटाना' }
+};
+
+export const RIGHTS_REQUEST_STATUSES = {
+    pending: { en: 'Awaiting review', hi: 'समीक्षा बाकी' },
+    approved: { en: 'Approved', hi: 'स्वीकृत' },
+    rejected: { en: 'Not approved', hi: 'अस्वीकृत' }
+};
+
+function sessionKey(token) {
+    return `rights-session:${token}`;
+}
+
+function requestKey(id) {
+    return `rights-request:${id}`;
+}
+
+function randomHex(byteCount) {
+    const bytes = new Uint8Array(byteCount);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Newest first in KV's lexicographic listing order
+function generateRequestId() {
+    const reversed = (9999999999999 - Date.now()).toString().padStart(13, '0');
+    return `rr_${reversed}_${randomHex(4)}`;
+}
+
+// Start a session for verified registrations, returns { token, expiresAt }
+export async function createRightsSession(kv, { formId, responseIds, verifiedBy }) {
+    const token = randomHex(24);
+    const expiresAt = new Date(Date.now() + RIGHTS_CONFIG.SESSION_TTL_SECONDS * 1000).toISOString();
+
+    await kv.put(sessionKey(token), JSON.stringify({
+        formId: formId,
+        responseIds: responseIds,
+        verifiedBy: verifiedBy,
+        expiresAt: expiresAt
+    }), { expirationTtl: RIGHTS_CONFIG.SESSION_TTL_SECONDS });
+
+    return { token, expiresAt };
+}
+
+// Session for the X-Rights-Token header, null if missing or expired
+export async function getRightsSession(request, kv) {
+    const token = request.headers.get('X-Rights-Token');
+    if (typeof token !== 'string' || !/^[a-f0-9]{48}$/.test(token)) return null;
+
+    return await kv.get(sessionKey(token), 'json');
+}
+
+// 403 for a missing or expired session
+export function rightsSessionResponse() {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: 'Your verification has expired. Please verify again.'
+        }),
+        {
+            status: 403,
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store'
+            }
+        }
+    );
+}
+
+// Whether a session may see Aadhar and mobile in full
+export function hasFullAccess(session) {
+    return session.verifiedBy === 'mobile_otp';
+}
+
+// What a data download contains: the whole record except server-only secrets,
+// with MASKED_FIELDS masked unless the session has full access
+export function toPrincipalView(record, session) {
+    const { editTokenHash, blindIndex, ...view } = record;
+    if (!hasFullAccess(session)) {
+        MASKED_FIELDS.forEach(field => {
+            if (view[field]) view[field] = maskValue(field, view[field]);
+        });
+    }
+    return view;
+}
+
+// Check a correction against the registration's current values.
+// Returns { changes } with the sanitized values that differ, or { errors }
+// with field errors for the merged record.
+export function validateCorrection(schema, record, proposed) {
+    const merged = {};
+    schema.fields.forEach(field => {
+        merged[field.name] = proposed[field.name] !== undefined ? proposed[field.name] : record[field.name];
+    });
+
+    const missing = findMissingFields(schema, merged);
+    if (missing.length > 0) {
+        return { errors: missing };
+    }
+
+    const { data, errors } = validateAgainstSchema(schema, merged);
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const changes = {};
+    schema.fields.forEach(field => {
+        if (proposed[field.name] !== undefined && data[field.name] !== record[field.name]) {
+            changes[field.name] = data[field.name] === undefined ? null : data[field.name];
+        }
+    });
+    return { changes };
+}
+
+// Persist a request, mirroring everything but the details into metadata
+export async function saveRightsRequest(kv, request) {
+    const { changes, note, resolutionNote, ...summary } = request;
+    await kv.put(requestKey(request.id), JSON.stringify(request), { metadata: summary });
+}
+
+export async function getRightsRequest(kv, id) {
+    if (typeof id !== 'string' || !/^rr_\d{13}_[a-f0-9]{8}$/.test(id)) return null;
+    return await kv.get(requestKey(id), 'json');
+}
+
+// A new pending request
+export async function createRightsRequest(kv, { record, type, changes, note }) {
+    const request = {
+        id: generateRequestId(),
+        type: type,
+        status: 'pending',
+        responseId: record.id,
+        formId: record.formId || DEFAULT_FORM_ID,
+        name: record.name || null,
+        changes: type === 'correction' ? changes : undefined,
+        note: note || null,
+        createdAt: new Date().toISOString(),
+        resolvedAt: null,
+        resolutionNote: null
+    };
+
+    await saveRightsRequest(kv, request);
+    return request;
+}
+
+function matchesRequest(summary, { status, responseIds }) {
+    return (!status || summary.status === status) &&
+        (!responseIds || responseIds.includes(summary.responseId));
+}
+
+// One page of request summaries for the admin queue, newest first, narrowed
+// by status. Returns { requests, cursor }; cursor is null on the last page.
+// Filtering happens after the list call, so a page may hold fewer than
+// QUEUE_PAGE_SIZE requests (even none) while there are more.
+export async function listRightsRequestPage(kv, { status, cursor } = {}) {
+    const page = await kv.list({ prefix: 'rights-request:', limit: RIGHTS_CONFIG.QUEUE_PAGE_SIZE, cursor: cursor || undefined });
+    return {
+        requests: page.keys
+            .filter(key => key.metadata)
+            .map(key => key.metadata)
+            .filter(summary => matchesRequest(summary, { status })),
+        cursor: page.list_complete ? null : page.cursor
+    };
+}
+
+// Every request summary, newest first; narrowed by status and/or response IDs
+export async function listRightsRequests(kv, { status, responseIds } = {}) {
+    const requests = [];
+    let cursor;
+    do {
+        const page = await kv.list({ prefix: 'rights-request:', cursor });
+        page.keys
+            .filter(key => key.metadata && matchesRequest(key.metadata, { status, responseIds }))
+            .forEach(key => requests.push(key.metadata));
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return requests;
+}
+
+// A request without the student's details, for once their record is erased
+function withoutDetails(request) {
+    const { changes, ...rest } = request;
+    return { ...rest, name: null, note: null };
+}
+
+// Close a request as approved or rejected
+export async function resolveRightsRequest(kv, request, status, resolutionNote) {
+    const resolved = {
+        ...request,
+        status: status,
+        resolvedAt: new Date().toISOString(),
+        resolutionNote: resolutionNote || null
+    };
+
+    await saveRightsRequest(kv, resolved);
+    return resolved;
+}
+
+// After an erasure: every request about the record keeps only what shows
+// what was asked and decided, and those still pending are closed
+export async function redactRightsRequests(kv, responseId) {
+    const summaries = await listRightsRequests(kv, { responseIds: [responseId] });
+
+    for (const summary of summaries) {
+        const request = await kv.get(requestKey(summary.id), 'json');
+        if (!request) continue;
+
+        const redacted = withoutDetails(request);
+        if (redacted.status === 'pending') {
+            redacted.status = 'rejected';
+            redacted.resolvedAt = new Date().toISOString();
+            redacted.resolutionNote = 'The registration was erased';
+        }
+        await saveRightsRequest(kv, redacted);
+    }
+}
@@ -0,0 +1,29 @@
+// Server-side HMAC secrets. An environment secret wins; without one a random
+// value is generated on first use and kept in KV, so signatures survive
+// deploys but not a KV wipe.
+
+export async function getSigningSecret(env, envName, kvKey) {
+    if (env[envName]) return env[envName];
+
+    const kv = env.KV_RESPONSES;
+    let secret = await kv.get(kvKey);
+    if (!secret) {
+        const bytes = new Uint8Array(32);
+        crypto.getRandomValues(bytes);
+        secret = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        await kv.put(kvKey, secret);
+    }
+    return secret;
+}
+
+// HMAC-SHA256 of a payload as raw bytes
+export async function hmacSha256(secret, payload) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload)));
+}
@@ -0,0 +1,121 @@
+import { formKey } from './forms.js';
+import { parseIstTimestamp } from './availability.js';
+
+// Per-form settings shared by /api/settings and the handlers that use them
+
+// Allowed values for enumerated settings
+export const SETTING_OPTIONS = {
+    duplicatePolicy: ['reject', 'flag', 'update'],
+    mobileVerification: ['required', 'off']
+};
+
+// Allowed ranges for numeric settings
+export const NUMERIC_SETTINGS = {
+    draftTtlDays: { min: 1, max: 30 },
+    editWindowDays: { min: 0, max: 365 },
+    capacity: { min: 0, max: 100000 }
+};
+
+// Settings holding a point in time, null when unset (see availability.js)
+export const TIMESTAMP_SETTINGS = ['opensAt', 'closesAt'];
+
+// Default form settings
+export const DEFAULT_SETTINGS = {
+    duplicatePolicy: 'reject',
+    mobileVerification: 'off',
+    draftTtlDays: 7,
+    editWindowDays: 7,
+    opensAt: null,
+    closesAt: null,
+    capacity: 0
+};
+
+// Check a numeric setting against its range
+function isValidNumber(key, value) {
+    const range = NUMERIC_SETTINGS[key];
+    return Number.isInteger(value) && value >= range.min && value <= range.max;
+}
+
+// Load a form's settings, falling back to defaults for anything unset or invalid
+export async function getFormSettings(kv, formId) {
+    const settings = await kv.get(formKey(formId, 'settings'), 'json') || {};
+    const merged = { ...DEFAULT_SETTINGS, ...settings };
+    
+    for (const [key, allowed] of Object.entries(SETTING_OPTIONS)) {
+        if (!allowed.includes(merged[key])) {
+            merged[key] = DEFAULT_SETTINGS[key];
+        }
+    }
+    
+    for (const key of Object.keys(NUMERIC_SETTINGS)) {
+        if (!isValidNumber(key, merged[key])) {
+            merged[key] = DEFAULT_SETTINGS[key];
+        }
+    }
+    
+    for (const key of TIMESTAMP_SETTINGS) {
+        merged[key] = parseIstTimestamp(merged[key]);
+    }
+    
+    return merged;
+}
+
+// Validate a settings update against the current settings, returns { accepted, errors }
+export function validateSettingsUpdate(updates, current = DEFAULT_SETTINGS) {
+    const errors = [];
+    const accepted = {};
+    
+    for (const [key, allowed] of Object.entries(SETTING_OPTIONS)) {
+        if (updates[key] === undefined) continue;
+        
+        if (!allowed.includes(updates[key])) {
+            errors.push(`${key} must be one of: ${allowed.join(', ')}`);
+        } else {
+            accepted[key] = updates[key];
+        }
+    }
+    
+    for (const [key, range] of Object.entries(NUMERIC_SETTINGS)) {
+        if (updates[key] === undefined) continue;
+        
+        if (!isValidNumber(key, updates[key])) {
+            errors.push(`${key} must be a whole number between ${range.min} and ${range.max}`);
+        } else {
+            accepted[key] = updates[key];
+        }
+    }
+    
+    for (const key of TIMESTAMP_SETTINGS) {
+        if (updates[key] === undefined) continue;
+        
+        if (updates[key] === null || updates[key] === '') {
+            accepted[key] = null;
+        } else if (!parseIstTimestamp(updates[key])) {
+            errors.push(`${key} must be a date and time like 2026-06-01T10:00 (IST unless an offset is given)`);
+        } else {
+            accepted[key] = parseIstTimestamp(updates[key]);
+        }
+    }
+    
+    const opensAt = accepted.opensAt !== undefined ? accepted.opensAt : current.opensAt;
+    const closesAt = accepted.closesAt !== undefined ? accepted.closesAt : current.closesAt;
+    if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+        errors.push('closesAt must be later than opensAt');
+    }
+    
+    return { accepted, errors };
+}
+
+// Save a settings update for a form
+export async function saveFormSettings(kv, formId, accepted) {
+    const current = await kv.get(formKey(formId, 'settings'), 'json') || {};
+    const settings = {
+        ...DEFAULT_SETTINGS,
+        ...current,
+        ...accepted,
+        updatedAt: new Date().toISOString()
+    };
+    
+    await kv.put(formKey(formId, 'settings'), JSON.stringify(settings));
+    return settings;
+}
@@ -0,0 +1,66 @@
+// SMS delivery behind a small adapter interface.
+// A provider is `{ name, loopback, send(to, message) }`; send() throws on failure.
+// Pick one with the SMS_PROVIDER variable:
+//   http     - POST { to, message } as JSON to SMS_API_URL with SMS_API_KEY as bearer token (default)
+//   console  - send nothing, log that a text went out (local development only)
+//   loopback - send nothing; /api/otp/send echoes the code back (automated tests)
+// console and loopback deliver nothing, so they are refused unless SMS_DEV_MODE
+// is "true". Message bodies carry codes and are never logged.
+
+const PROVIDERS = {
+    console: () => ({
+        name: 'console',
+        loopback: false,
+        async send(to, message) {
+            console.log(`[sms] to ******${String(to).slice(-4)} (${message.length} characters)`);
+        }
+    }),
+
+    loopback: () => ({
+        name: 'loopback',
+        loopback: true,
+        async send() {}
+    }),
+
+    http: (env) => ({
+        name: 'http',
+        loopback: false,
+        async send(to, message) {
+            if (!env.SMS_API_URL) {
+                throw new Error('SMS_API_URL is not configured');
+            }
+
+            const response = await fetch(env.SMS_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${env.SMS_API_KEY || ''}`
+                },
+                body: JSON.stringify({ to: `+91${to}`, message })
+            });
+
+            if (!response.ok) {
+                throw new Error(`SMS provider responded with ${response.status}`);
+            }
+        }
+    })
+};
+
+// Provider selected by the environment (http when unset)
+export function getSmsProvider(env) {
+    const name = env.SMS_PROVIDER || 'http';
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    if (name !== 'http' && env.SMS_DEV_MODE !== 'true') {
+        throw new Error(`SMS provider ${name} is for development only; set SMS_DEV_MODE = "true" to use it`);
+    }
+    return factory(env);
+}
+
+// Whether OTPs actually reach the phone: only a configured http provider does,
+// so a form may require mobile verification only then
+export function canDeliverSms(env) {
+    return (env.SMS_PROVIDER || 'http') === 'http' && !!env.SMS_API_URL;
+}
@@ -0,0 +1,289 @@
+import { DEFAULT_FORM_ID } from './forms.js';
+import { INDEXED_FIELDS, lookupValue } from './responses.js';
+import { normalizeResponseQuery, SECURITY_COUNTERS } from './storage.js';
+import { createKvStorage } from './storage-kv.js';
+
+// Storage adapter over a D1 (SQLite) database bound as DB
+// (see storage.js for the interface, migrations/ for the schema).
+//
+// The full record is kept as JSON in `responses.data`; the columns next to
+// it are copies of the fields the admin list filters, sorts and looks up by,
+// so those run as indexed SQL instead of in memory. Encrypted fields are
+// copied as their blind index, which is all the lookups need.
+//
+// Records copied in by /api/storage/migrate keep their KV copy; given the KV
+// namespace, deleting a record deletes that copy as well.
+
+// Previous versions kept per response
+const MAX_VERSIONS = 20;
+
+// Columns copied out of the record
+const RESPONSE_COLUMNS = ['id', 'form_id', 'timestamp', 'name', 'father', 'mobile', 'aadhar', 'dob', 'duplicate_of', 'data'];
+
+// Sort keys to SQL, all backed by an index on (form_id, column)
+const SORT_COLUMNS = {
+    timestamp: 'timestamp',
+    name: 'name COLLATE NOCASE',
+    dob: 'dob',
+    mobile: 'mobile'
+};
+
+function toRow(record) {
+    return [
+        record.id,
+        record.formId || DEFAULT_FORM_ID,
+        record.timestamp,
+        record.name || null,
+        record.father || null,
+        lookupValue(record, 'mobile') || null,
+        lookupValue(record, 'aadhar') || null,
+        record.dob || null,
+        record.duplicateOf || null,
+        JSON.stringify(record)
+    ];
+}
+
+// INSERT for a record; `OR IGNORE` lets the KV copy be re-run
+function insertResponse(db, record, conflict = '') {
+    return db
+        .prepare(`INSERT ${conflict} INTO responses (${RESPONSE_COLUMNS.join(', ')}) VALUES (${RESPONSE_COLUMNS.map(() => '?').join(', ')})`)
+        .bind(...toRow(record));
+}
+
+function parseRows(result) {
+    return result.results.map(row => JSON.parse(row.data));
+}
+
+// WHERE clause and bindings for a normalised filter set
+function buildWhere(formId, { filters, lookups, searchFields }) {
+    const clauses = ['form_id = ?'];
+    const bindings = [formId];
+
+    if (filters.search) {
+        const searchable = searchFields.map(field => `coalesce(${field}, '')`).join(" || ' ' || ");
+        clauses.push(`instr(lower(${searchable}), ?) > 0`);
+        bindings.push(filters.search);
+    }
+    if (filters.startDate) {
+        clauses.push('timestamp >= ?');
+        bindings.push(filters.startDate);
+    }
+    if (filters.endDate) {
+        clauses.push('timestamp <= ?');
+        bindings.push(filters.endDate);
+    }
+    if (filters.mobile) {
+        clauses.push('instr(mobile, ?) > 0');
+        bindings.push(filters.mobile);
+    }
+    if (filters.aadhar) {
+        clauses.push('instr(aadhar, ?) > 0');
+        bindings.push(filters.aadhar);
+    }
+    Object.keys(lookups).forEach(field => {
+        clauses.push(`${field} = ?`);
+        bindings.push(lookups[field]);
+    });
+
+    return { where: clauses.join(' AND '), bindings };
+}
+
+export function createD1Storage(db, kv = null) {
+    return {
+        name: 'd1',
+
+        async getResponse(id) {
+            const row = await db.prepare('SELECT data FROM responses WHERE id = ?').bind(id).first();
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        async createResponse(record) {
+            await insertResponse(db, record).run();
+        },
+
+        async replaceResponse(existing, updated, source) {
+            const { editTokenHash, ...snapshot } = existing;
+
+            await db.batch([
+                db.prepare(
+                    `INSERT INTO response_versions (response_id, version, replaced_at, source, data)
+                     SELECT ?, coalesce(max(version), 0) + 1, ?, ?, ? FROM response_versions WHERE response_id = ?`
+                ).bind(existing.id, new Date().toISOString(), source, JSON.stringify(snapshot), existing.id),
+                db.prepare(
+                    `DELETE FROM response_versions WHERE response_id = ? AND version <=
+                     (SELECT max(version) FROM response_versions WHERE response_id = ?) - ?`
+                ).bind(existing.id, existing.id, MAX_VERSIONS),
+                db.prepare(
+                    `UPDATE responses SET ${RESPONSE_COLUMNS.slice(1).map(column => `${column} = ?`).join(', ')} WHERE id = ?`
+                ).bind(...toRow(updated).slice(1), existing.id)
+            ]);
+        },
+
+        async deleteResponse(record) {
+            await db.batch([
+                db.prepare('DELETE FROM response_versions WHERE response_id = ?').bind(record.id),
+                db.prepare('DELETE FROM responses WHERE id = ?').bind(record.id)
+            ]);
+
+            const kvCopy = kv ? await kv.get(`response:${record.id}`, 'json') : null;
+            if (kvCopy) {
+                await createKvStorage(kv).deleteResponse(kvCopy);
+            }
+        },
+
+        async getResponseVersions(id) {
+            const result = await db
+                .prepare('SELECT version, replaced_at, source, data FROM response_versions WHERE response_id = ? ORDER BY version')
+                .bind(id)
+                .all();
+
+            return result.results.map(row => ({
+                version: row.version,
+                replacedAt: row.replaced_at,
+                source: row.source,
+                data: JSON.parse(row.data)
+            }));
+        },
+
+        // The earliest other registration holding the same Aadhar or mobile
+        async findDuplicate(formId, data, excludeIds = []) {
+            const excluded = excludeIds.length > 0 ? excludeIds : [''];
+            const matches = await Promise.all(INDEXED_FIELDS.map(field => db
+                .prepare(`SELECT id FROM responses WHERE form_id = ? AND ${field} = ?
+                          AND id NOT IN (${excluded.map(() => '?').join(', ')}) ORDER BY timestamp LIMIT 1`)
+                .bind(formId, lookupValue(data, field) || '', ...excluded)
+                .first()
+            ));
+
+            const matchedOn = INDEXED_FIELDS.filter((field, i) => matches[i]);
+            if (matchedOn.length === 0) return null;
+
+            return { id: matches[INDEXED_FIELDS.indexOf(matchedOn[0])].id, matchedOn: matchedOn };
+        },
+
+        async queryResponses(formId, query) {
+            const normalized = normalizeResponseQuery(query);
+            const { sortBy, sortOrder, page, limit } = normalized;
+            const { where, bindings } = buildWhere(formId, normalized);
+
+            const [rows, count] = await db.batch([
+                db.prepare(
+                    `SELECT data FROM responses WHERE ${where}
+                     ORDER BY ${SORT_COLUMNS[sortBy]} ${sortOrder === 'asc' ? 'ASC' : 'DESC'}, id
+                     LIMIT ? OFFSET ?`
+                ).bind(...bindings, limit, (page - 1) * limit),
+                db.prepare(`SELECT count(*) AS total FROM responses WHERE ${where}`).bind(...bindings)
+            ]);
+
+            return {
+                items: parseRows(rows),
+                total: count.results[0].total
+            };
+        },
+
+        async listResponses(formId) {
+            return parseRows(await db
+                .prepare('SELECT data FROM responses WHERE form_id = ? ORDER BY timestamp')
+                .bind(formId)
+                .all());
+        },
+
+        async scanResponses(cursor, limit) {
+            const rows = await db
+                .prepare('SELECT id, data FROM responses WHERE id > ? ORDER BY id LIMIT ?')
+                .bind(cursor || '', limit)
+                .all();
+
+            return {
+                records: parseRows(rows),
+                cursor: rows.results.length === limit ? rows.results[rows.results.length - 1].id : null
+            };
+        },
+
+        async rewriteResponse(stored, updated, versions) {
+            await db.batch([
+                db.prepare(
+                    `UPDATE responses SET ${RESPONSE_COLUMNS.slice(1).map(column => `${column} = ?`).join(', ')} WHERE id = ?`
+                ).bind(...toRow(updated).slice(1), stored.id),
+                ...versions.map(version => db
+                    .prepare('UPDATE response_versions SET data = ? WHERE response_id = ? AND version = ?')
+                    .bind(JSON.stringify(version.data), stored.id, version.version)
+                )
+            ]);
+        },
+
+        async countResponses(formId) {
+            const row = await db.prepare('SELECT count(*) AS total FROM responses WHERE form_id = ?').bind(formId).first();
+            return row.total;
+        },
+
+        async getStats(formId) {
+            const today = new Date().toISOString().split('T')[0];
+            const row = await db.prepare(
+                `SELECT count(*) AS total, count(CASE WHEN substr(timestamp, 1, 10) = ? THEN 1 END) AS today,
+                        max(timestamp) AS lastUpdated
+                 FROM responses WHERE form_id = ?`
+            ).bind(today, formId).first();
+
+            return { total: row.total, today: row.today, lastUpdated: row.lastUpdated };
+        },
+
+        async getSession(id) {
+            const row = await db
+                .prepare('SELECT data FROM sessions WHERE id = ? AND expires_at > ?')
+                .bind(id, Date.now())
+                .first();
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        async putSession(id, data, ttlSeconds) {
+            await db.batch([
+                db.prepare('DELETE FROM sessions WHERE expires_at <= ?').bind(Date.now()),
+                db.prepare(
+                    `INSERT INTO sessions (id, data, expires_at) VALUES (?, ?, ?)
+                     ON CONFLICT (id) DO UPDATE SET data = excluded.data, expires_at = excluded.expires_at`
+                ).bind(id, JSON.stringify(data), Date.now() + ttlSeconds * 1000)
+            ]);
+        },
+
+        async deleteSession(id) {
+            await db.prepare('DELETE FROM sessions WHERE id = ?').bind(id).run();
+        },
+
+        async logSecurityEvent(type, entry, ttlSeconds) {
+            const statements = [
+                db.prepare('DELETE FROM security_log WHERE expires_at <= ?').bind(Date.now()),
+                db.prepare('INSERT INTO security_log (type, timestamp, data, expires_at) VALUES (?, ?, ?, ?)')
+                    .bind(type, entry.timestamp, JSON.stringify(entry), Date.now() + ttlSeconds * 1000)
+            ];
+
+            // Counters are updated in place, so concurrent logins cannot lose counts
+            if (SECURITY_COUNTERS[type]) {
+                statements.push(db.prepare(
+                    `INSERT INTO counters (name, value, updated_at) VALUES (?, 1, ?)
+                     ON CONFLICT (name) DO UPDATE SET value = value + 1, updated_at = excluded.updated_at`
+                ).bind(`security:${type}`, entry.timestamp));
+            }
+
+            await db.batch(statements);
+        },
+
+        // Statement for the one-shot KV copy (see /api/storage/migrate)
+        importResponse(record) {
+            return insertResponse(db, record, 'OR IGNORE');
+        },
+
+        importVersions(responseId, versions) {
+            return versions.map(version => db
+                .prepare('INSERT OR IGNORE INTO response_versions (response_id, version, replaced_at, source, data) VALUES (?, ?, ?, ?, ?)')
+                .bind(responseId, version.version, version.replacedAt, version.source, JSON.stringify(version.data))
+            );
+        },
+
+        async runBatch(statements) {
+            if (statements.length > 0) {
+                await db.batch(statements);
+            }
+        }
+    };
+}
@@ -0,0 +1,99 @@
+import { RESPONSE_QUERY } from './storage.js';
+
+// Storage adapter wrapper that encrypts identity fields (see field-crypto.js).
+//
+// Records are encrypted on the way into the backend and decrypted on the way
+// out, so handlers keep working with plain values. Duplicate checks and the
+// Aadhar/mobile filters of encrypted fields are turned into blind-index
+// lookups; those filters therefore only match the full number. Free-text
+// search and sorting do not see encrypted values.
+
+export function createEncryptedStorage(backend, fieldCrypto) {
+    const decryptAll = records => Promise.all(records.map(record => fieldCrypto.decryptRecord(record)));
+
+    const decryptVersions = versions => Promise.all(versions.map(async version => ({
+        ...version,
+        data: await fieldCrypto.decryptRecord(version.data)
+    })));
+
+    // What the backend holds for a record, so lookups are dropped by the
+    // values they were stored under (records from before encryption included)
+    async function storedForm(record) {
+        return await backend.getResponse(record.id) || await fieldCrypto.encryptRecord(record);
+    }
+
+    return {
+        ...backend,
+        encrypted: true,
+
+        async getResponse(id) {
+            return await fieldCrypto.decryptRecord(await backend.getResponse(id));
+        },
+
+        async createResponse(record) {
+            await backend.createResponse(await fieldCrypto.encryptRecord(record));
+        },
+
+        async replaceResponse(existing, updated, source) {
+            await backend.replaceResponse(await storedForm(existing), await fieldCrypto.encryptRecord(updated), source);
+        },
+
+        async deleteResponse(record) {
+            await backend.deleteResponse(await storedForm(record));
+        },
+
+        async getResponseVersions(id) {
+            return await decryptVersions(await backend.getResponseVersions(id));
+        },
+
+        async findDuplicate(formId, data, excludeIds = []) {
+            const blindIndex = await fieldCrypto.blindIndexes(data);
+            return await backend.findDuplicate(formId, { ...data, blindIndex }, excludeIds);
+        },
+
+        async queryResponses(formId, query) {
+            const filters = { ...(query.filters || {}) };
+            const lookups = {};
+
+            for (const field of fieldCrypto.fields) {
+                if (filters[field]) {
+                    lookups[field] = await fieldCrypto.blindIndex(field, filters[field]);
+                    filters[field] = null;
+                }
+            }
+
+            const searchFields = RESPONSE_QUERY.SEARCH_FIELDS.filter(field => !fieldCrypto.fields.includes(field));
+            const { items, total } = await backend.queryResponses(formId, { ...query, filters, lookups, searchFields });
+            return { items: await decryptAll(items), total };
+        },
+
+        async listResponses(formId) {
+            return await decryptAll(await backend.listResponses(formId));
+        },
+
+        // Bring one page of stored records (and their versions) up to the
+        // current key and field list; see /api/storage/reencrypt
+        async reencryptResponses(cursor, limit) {
+            const page = await backend.scanResponses(cursor, limit);
+            let updated = 0;
+
+            for (const stored of page.records) {
+                const versions = await backend.getResponseVersions(stored.id);
+                if (fieldCrypto.isCurrent(stored) && versions.every(version => fieldCrypto.isCurrent(version.data))) {
+                    continue;
+                }
+
+                const record = await fieldCrypto.encryptRecord(await fieldCrypto.decryptRecord(stored));
+                const reencrypted = await Promise.all(versions.map(async version => ({
+                    ...version,
+                    data: await fieldCrypto.encryptRecord(await fieldCrypto.decryptRecord(version.data))
+                })));
+
+                await backend.rewriteResponse(stored, record, reencrypted);
+                updated++;
+            }
+
+            return { processed: page.records.length, updated, cursor: page.cursor };
+        }
+    };
+}
@@ -0,0 +1,266 @@
+import { formKey } from './forms.js';
+import { INDEXED_FIELDS, lookupValue } from './responses.js';
+import { addToIndex, updateIndexEntry, removeFromIndex, listIndex, countIndex, computeStats } from './response-index.js';
+import { normalizeResponseQuery, SECURITY_COUNTERS } from './storage.js';
+
+// Storage adapter over KV_RESPONSES (see storage.js for the interface).
+//
+// Keys:
+//   response:<id>                      the record, { timestamp, ip } as metadata
+//   versions:<id>                      previous versions, oldest first
+//   index:<field>:<value>              (form scoped) first registration with an Aadhar/mobile,
+//                                      by blind index when the field is encrypted
+//   responses:index:<timestamp>:<id>   (form scoped) listing entry, see response-index.js
+//   responses:count                    (form scoped) short-lived count snapshot, ditto
+//   session:<id>                       admin session
+//   log:<type>:<ms>                    security log entry
+//   stats:security                     security counters
+//
+// KV cannot filter or sort, so queryResponses loads every record of the form.
+
+// Previous versions kept per response
+const MAX_VERSIONS = 20;
+
+function responseKey(id) {
+    return `response:${id}`;
+}
+
+function lookupKey(formId, field, value) {
+    return formKey(formId, `index:${field}:${value}`);
+}
+
+// In-memory equivalent of the D1 WHERE clause
+function matchesFilters(record, { filters, lookups, searchFields }) {
+    if (filters.search) {
+        const searchable = searchFields.map(field => record[field]).join(' ').toLowerCase();
+        if (!searchable.includes(filters.search)) return false;
+    }
+
+    if (filters.startDate && record.timestamp < filters.startDate) return false;
+    if (filters.endDate && record.timestamp > filters.endDate) return false;
+
+    if (filters.mobile && !(record.mobile || '').includes(filters.mobile)) return false;
+    if (filters.aadhar && !(record.aadhar || '').includes(filters.aadhar)) return false;
+
+    return Object.keys(lookups).every(field => lookupValue(record, field) === lookups[field]);
+}
+
+function compareRecords(sortBy, sortOrder) {
+    const value = record => sortBy === 'name'
+        ? (record.name || '').toLowerCase()
+        : (record[sortBy] || '');
+
+    return (a, b) => {
+        const order = value(a) < value(b) ? -1 : value(a) > value(b) ? 1 : 0;
+        return sortOrder === 'asc' ? order : -order;
+    };
+}
+
+export function createKvStorage(kv) {
+    async function getResponse(id) {
+        return await kv.get(responseKey(id), 'json');
+    }
+
+    async function putRecord(record) {
+        await kv.put(responseKey(record.id), JSON.stringify(record), {
+            metadata: {
+                timestamp: record.timestamp,
+                ip: record.ip
+            }
+        });
+    }
+
+    // Point the lookups at a response
+    async function claimLookups(formId, record, fields) {
+        await Promise.all(
+            fields.map(field => kv.put(lookupKey(formId, field, lookupValue(record, field)), record.id))
+        );
+    }
+
+    async function getResponseVersions(id) {
+        return await kv.get(`versions:${id}`, 'json') || [];
+    }
+
+    async function listResponses(formId) {
+        const entries = await listIndex(kv, formId);
+        const records = [];
+
+        // Batched to keep concurrent KV reads reasonable
+        for (let i = 0; i < entries.length; i += 20) {
+            const batch = await Promise.all(
+                entries.slice(i, i + 20).map(entry => getResponse(entry.id).catch(() => null))
+            );
+            records.push(...batch.filter(record => record !== null));
+        }
+
+        return records;
+    }
+
+    return {
+        name: 'kv',
+
+        getResponse,
+        getResponseVersions,
+        listResponses,
+
+        async createResponse(record) {
+            await putRecord(record);
+
+            // A flagged duplicate leaves the original's lookups alone
+            const matchedOn = record.duplicateMatchedOn || [];
+            await claimLookups(record.formId, record, INDEXED_FIELDS.filter(field => !matchedOn.includes(field)));
+
+            await addToIndex(kv, record.formId, record);
+        },
+
+        async replaceResponse(existing, updated, source) {
+            const formId = existing.formId;
+
+            // Archive the version being replaced
+            const versions = await getResponseVersions(existing.id);
+            const { editTokenHash, ...snapshot } = existing;
+
+            versions.push({
+                version: versions.length + 1,
+                replacedAt: new Date().toISOString(),
+                source: source,
+                data: snapshot
+            });
+
+            if (versions.length > MAX_VERSIONS) {
+                versions.splice(0, versions.length - MAX_VERSIONS);
+            }
+
+            await kv.put(`versions:${existing.id}`, JSON.stringify(versions));
+            await putRecord(updated);
+
+            // Drop lookups for values that have changed
+            for (const field of INDEXED_FIELDS) {
+                const previous = lookupValue(existing, field);
+                if (previous && previous !== lookupValue(updated, field)) {
+                    const key = lookupKey(formId, field, previous);
+                    if (await kv.get(key) === existing.id) {
+                        await kv.delete(key);
+                    }
+                }
+            }
+
+            // Take up free lookups only: a flagged duplicate shares the original's values
+            const holders = await Promise.all(
+                INDEXED_FIELDS.map(field => kv.get(lookupKey(formId, field, lookupValue(updated, field))))
+            );
+            await claimLookups(formId, updated, INDEXED_FIELDS.filter((field, i) => !holders[i] || holders[i] === updated.id));
+
+            // Keep the listing summary in sync
+            await updateIndexEntry(kv, formId, updated);
+        },
+
+        async deleteResponse(record) {
+            await kv.delete(responseKey(record.id));
+            await kv.delete(`versions:${record.id}`);
+
+            // Only drop lookups that still point at this response
+            for (const field of INDEXED_FIELDS) {
+                if (!record[field]) continue;
+                const key = lookupKey(record.formId, field, lookupValue(record, field));
+                if (await kv.get(key) === record.id) {
+                    await kv.delete(key);
+                }
+            }
+
+            await removeFromIndex(kv, record.formId, record);
+        },
+
+        async findDuplicate(formId, data, excludeIds = []) {
+            const matches = await Promise.all(
+                INDEXED_FIELDS.map(field => kv.get(lookupKey(formId, field, lookupValue(data, field))))
+            );
+
+            const matchedOn = INDEXED_FIELDS.filter((field, i) => matches[i] && !excludeIds.includes(matches[i]));
+            if (matchedOn.length === 0) return null;
+
+            return { id: matches[INDEXED_FIELDS.indexOf(matchedOn[0])], matchedOn: matchedOn };
+        },
+
+        async queryResponses(formId, query) {
+            const normalized = normalizeResponseQuery(query);
+            const { sortBy, sortOrder, page, limit } = normalized;
+
+            const matching = (await listResponses(formId))
+                .filter(record => matchesFilters(record, normalized))
+                .sort(compareRecords(sortBy, sortOrder));
+
+            return {
+                items: matching.slice((page - 1) * limit, page * limit),
+                total: matching.length
+            };
+        },
+
+        async scanResponses(cursor, limit) {
+            const page = await kv.list({ prefix: 'response:', limit, cursor: cursor || undefined });
+            const records = await Promise.all(page.keys.map(key => kv.get(key.name, 'json')));
+
+            return {
+                records: records.filter(record => record !== null),
+                cursor: page.list_complete ? null : page.cursor
+            };
+        },
+
+        async rewriteResponse(stored, updated, versions) {
+            if (versions.length > 0) {
+                await kv.put(`versions:${stored.id}`, JSON.stringify(versions));
+            }
+            await putRecord(updated);
+
+            // Move the lookups this response owns to their new values
+            for (const field of INDEXED_FIELDS) {
+                const previous = lookupValue(stored, field);
+                const next = lookupValue(updated, field);
+                if (!previous || previous === next) continue;
+
+                const key = lookupKey(stored.formId, field, previous);
+                if (await kv.get(key) === stored.id) {
+                    await kv.put(lookupKey(stored.formId, field, next), stored.id);
+                    await kv.delete(key);
+                }
+            }
+
+            await updateIndexEntry(kv, stored.formId, updated);
+        },
+
+        async countResponses(formId, options) {
+            return await countIndex(kv, formId, options);
+        },
+
+        async getStats(formId) {
+            return computeStats(await listIndex(kv, formId));
+        },
+
+        async getSession(id) {
+            return await kv.get(`session:${id}`, 'json');
+        },
+
+        async putSession(id, data, ttlSeconds) {
+            await kv.put(`session:${id}`, JSON.stringify(data), { expirationTtl: ttlSeconds });
+        },
+
+        async deleteSession(id) {
+            await kv.delete(`session:${id}`);
+        },
+
+        async logSecurityEvent(type, entry, ttlSeconds) {
+            await kv.put(`log:${type}:${Date.now()}`, JSON.stringify(entry), {
+                expirationTtl: ttlSeconds
+            });
+
+            const counters = SECURITY_COUNTERS[type];
+            if (!counters) return;
+
+            const [countField, lastField] = counters;
+            const securityStats = await kv.get('stats:security', 'json') || {};
+            securityStats[countField] = (securityStats[countField] || 0) + 1;
+            securityStats[lastField] = entry.timestamp;
+            await kv.put('stats:security', JSON.stringify(securityStats));
+        }
+    };
+}
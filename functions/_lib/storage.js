@@ -0,0 +1,109 @@
+import { createKvStorage } from './storage-kv.js';
+import { createD1Storage } from './storage-d1.js';
+import { createEncryptedStorage } from './storage-encrypted.js';
+import { getFieldCrypto } from './field-crypto.js';
+import { INDEXED_FIELDS } from './responses.js';
+
+// Storage for responses, admin sessions, security logs and stats.
+// Handlers get an adapter from getStorage(env) and never build record keys
+// or queries themselves. Form configuration, drafts, OTPs, webhooks and other
+// short-lived state stay in KV_RESPONSES whichever backend is chosen.
+//
+// Pick a backend with the STORAGE_BACKEND variable:
+//   kv - KV_RESPONSES, records at `response:<id>` (default)
+//   d1 - the D1 database bound as DB (schema in migrations/), with real
+//        indexes and SQL filtering; copy existing records across once with
+//        POST /api/storage/migrate
+//
+// With FIELD_ENCRYPTION_KEYS set, either backend is wrapped so Aadhar (and
+// optionally mobile) is encrypted before it is stored and decrypted on the
+// way out; handlers only ever see plain records (see field-crypto.js).
+//
+// An adapter is `{ name, ...methods }`:
+//   Responses
+//     getResponse(id)                              record or null
+//     createResponse(record)                       store and list a new record
+//     replaceResponse(existing, updated, source)   overwrite, archiving the old version
+//     deleteResponse(record)                       record, versions and lookups
+//     getResponseVersions(id)                      previous versions, oldest first
+//     findDuplicate(formId, data, excludeIds)      { id, matchedOn } or null, ignoring excludeIds
+//     queryResponses(formId, query)                { items, total }, see RESPONSE_QUERY
+//     listResponses(formId)                        every record, oldest first
+//     countResponses(formId, { cached })          cached: a snapshot a minute old will do
+//     getStats(formId)                             { total, today, lastUpdated }
+//     scanResponses(cursor, limit)                 stored records of every form, { records, cursor }
+//     rewriteResponse(stored, updated, versions)   overwrite as-is, no new version (re-encryption)
+//   Sessions
+//     getSession(id), putSession(id, data, ttlSeconds), deleteSession(id)
+//   Logs
+//     logSecurityEvent(type, entry, ttlSeconds)    also updates the security counters
+
+// Sortable columns and free-text search fields of queryResponses
+export const RESPONSE_QUERY = {
+    SORT_FIELDS: ['timestamp', 'name', 'dob', 'mobile'],
+    SEARCH_FIELDS: ['name', 'father', 'mobile', 'aadhar', 'dob']
+};
+
+// Security counters bumped per log event type: [count field, last-seen field]
+export const SECURITY_COUNTERS = {
+    failed_login: ['failedAttempts', 'lastFailed'],
+    success_login: ['successfulLogins', 'lastSuccessful']
+};
+
+const BACKENDS = {
+    kv: (env) => createKvStorage(env.KV_RESPONSES),
+
+    d1: (env) => {
+        if (!env.DB) {
+            throw new Error('STORAGE_BACKEND is d1 but no D1 database is bound as DB');
+        }
+        return createD1Storage(env.DB, env.KV_RESPONSES);
+    }
+};
+
+// Adapter selected by the environment (kv when unset)
+export function getStorage(env) {
+    const name = env.STORAGE_BACKEND || 'kv';
+    const factory = BACKENDS[name];
+    if (!factory) {
+        throw new Error(`Unknown storage backend: ${name}`);
+    }
+
+    const backend = factory(env);
+    const fieldCrypto = getFieldCrypto(env);
+    return fieldCrypto ? createEncryptedStorage(backend, fieldCrypto) : backend;
+}
+
+// Normalise a query: whitelisted sort, clamped paging, ISO date bounds.
+// `lookups` are exact matches on the stored lookup value of an indexed field
+// and `searchFields` narrows free-text search; the encrypted adapter uses both
+// to keep ciphertext and blind indexes out of the results.
+export function normalizeResponseQuery(query = {}) {
+    const filters = query.filters || {};
+    const lookups = {};
+    INDEXED_FIELDS.forEach(field => {
+        if (query.lookups && query.lookups[field]) lookups[field] = String(query.lookups[field]);
+    });
+
+    const toIso = value => {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    };
+
+    return {
+        filters: {
+            search: filters.search ? String(filters.search).toLowerCase() : null,
+            startDate: toIso(filters.startDate),
+            endDate: toIso(filters.endDate),
+            mobile: filters.mobile ? String(filters.mobile).replace(/\D/g, '') : null,
+            aadhar: filters.aadhar ? String(filters.aadhar).replace(/\D/g, '') : null
+        },
+        lookups: lookups,
+        searchFields: RESPONSE_QUERY.SEARCH_FIELDS.filter(field => !query.searchFields || query.searchFields.includes(field)),
+        sortBy: RESPONSE_QUERY.SORT_FIELDS.includes(query.sortBy) ? query.sortBy : 'timestamp',
+        sortOrder: query.sortOrder === 'asc' ? 'asc' : 'desc',
+        page: Math.max(1, parseInt(query.page, 10) || 1),
+        limit: Math.min(Math.max(1, parseInt(query.limit, 10) || 50), 100)
+    };
+}
@@ -0,0 +1,159 @@
+// Server-side field validation shared by /api/submit and /api/registration
+import {
+    validateIndianMobile, validateAadhar, validateDOB, validateName,
+    normalizeText, normalizeName, hasControlCharacters, checkAgeRule
+} from '../../public/assets/validation.js';
+import { formatError } from '../../public/assets/messages.js';
+
+// Format rules live in the browser-side module so both give the same verdict
+export { validateIndianMobile, validateAadhar, validateDOB, validateName };
+
+// Longest value accepted for a text field without its own maxLength
+const MAX_TEXT_LENGTH = 255;
+
+// Normalise free text (NFC, trimmed). Nothing is stripped: values are stored
+// as typed and escaped where they are rendered or exported.
+export function sanitizeInput(input) {
+    if (typeof input !== 'string') return input;
+    return normalizeText(input);
+}
+
+// Helper function to check for a missing form value
+export function isEmptyValue(value) {
+    return value === undefined || value === null || value.toString().trim() === '';
+}
+
+// Clean a single value according to its schema field
+function sanitizeField(field, value) {
+    if (field.format === 'mobile' || field.format === 'aadhar') {
+        return value.toString().replace(/\D/g, '');
+    }
+    if (field.format === 'name') {
+        return normalizeName(value);
+    }
+    
+    switch (field.type) {
+        case 'date':
+        case 'number':
+        case 'select':
+            return value.toString().trim();
+        default:
+            return sanitizeInput(value.toString());
+    }
+}
+
+// Validate a single sanitized value, returns [code, params] or null
+function validateField(field, value) {
+    switch (field.format) {
+        case 'dob':
+            if (!validateDOB(value)) return ['invalid_dob'];
+            break;
+        case 'mobile':
+            if (!validateIndianMobile(value)) return ['invalid_mobile'];
+            break;
+        case 'aadhar':
+            if (!validateAadhar(value)) return ['invalid_aadhar'];
+            break;
+        case 'name':
+            if (!validateName(value)) return ['invalid_name'];
+            break;
+    }
+    
+    if (hasControlCharacters(value)) {
+        return ['invalid_characters'];
+    }
+    if (field.minLength !== undefined && value.length < field.minLength) {
+        return ['too_short', { min: field.minLength }];
+    }
+    const maxLength = field.maxLength !== undefined ? field.maxLength : MAX_TEXT_LENGTH;
+    if (value.length > maxLength) {
+        return ['too_long', { max: maxLength }];
+    }
+    
+    switch (field.type) {
+        case 'number':
+            if (!Number.isFinite(Number(value))) return ['not_a_number'];
+            break;
+        case 'date':
+            if (isNaN(new Date(value).getTime())) return ['invalid_value'];
+            break;
+        case 'email':
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return ['invalid_value'];
+            break;
+        case 'select':
+            if (!field.options.some(option => option.value === value)) return ['invalid_option'];
+            break;
+    }
+    
+    if (field.pattern && !new RegExp(field.pattern).test(value)) {
+        return ['invalid_value'];
+    }
+    
+    return null;
+}
+
+// Error for one field as returned to clients: { field, code, params, message }.
+// Clients show their own text per code (public/assets/messages.js); the
+// English message is for API users and logs.
+export function fieldError(field, label, code, params = {}) {
+    return {
+        field: field,
+        code: code,
+        params: params,
+        message: formatError({ field, code, params }, 'en', label)
+    };
+}
+
+// A `required` error for every required schema field missing from the data
+export function findMissingFields(schema, formData) {
+    return schema.fields
+        .filter(field => field.required && isEmptyValue(formData[field.name]))
+        .map(field => fieldError(field.name, field.label.en, 'required'));
+}
+
+// Sanitize and validate submitted data against the form schema
+export function validateAgainstSchema(schema, formData) {
+    const data = {};
+    const errors = [];
+    
+    for (const field of schema.fields) {
+        const raw = formData[field.name];
+        if (isEmptyValue(raw)) continue;
+        
+        const value = sanitizeField(field, raw);
+        const error = validateField(field, value);
+        
+        if (error) {
+            const [code, params] = error;
+            errors.push(fieldError(field.name, field.label.en, code, params));
+        } else {
+            data[field.name] = value;
+        }
+    }
+    
+    // Age eligibility on the cutoff date, once the birth date itself is valid
+    const dobField = schema.fields.find(field => field.format === 'dob');
+    const ageError = schema.ageRule && dobField && data[dobField.name] &&
+        checkAgeRule(schema.ageRule, data[dobField.name], data);
+    if (ageError) {
+        errors.push(fieldError(dobField.name, dobField.label.en, ageError.code, ageError.params));
+        delete data[dobField.name];
+    }
+    
+    return { data, errors };
+}
+
+// 400 for a list of field errors
+export function validationErrorResponse(errors) {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: errors.length === 1 ? errors[0].message : `${errors.length} fields need correcting`,
+            errors: errors
+        }),
+        {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+}
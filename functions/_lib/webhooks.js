@@ -0,0 +1,292 @@
+import { DEFAULT_FORM_ID } from './forms.js';
+import { maskValue } from './responses.js';
+
+// Outbound webhooks for registration events.
+//
+// Subscriptions live in `webhooks:list`. Each event is delivered to every
+// matching subscription as a signed JSON POST; every delivery is kept at
+// `webhook-delivery:<id>` (with its status in the key metadata, so the log
+// is a single list call) until it expires, and can be re-sent from the admin UI.
+//
+// Signature: `X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>` over
+// `<t>.<raw body>` with the subscription secret. `X-Webhook-Id` is the event
+// ID and stays the same across retries and redeliveries.
+
+export const WEBHOOK_EVENTS = ['registration.created', 'registration.updated', 'registration.reviewed', 'registration.deleted'];
+
+// Automatic attempts run after the response is sent (context.waitUntil),
+// so the whole schedule has to fit in the ~30 seconds that allows
+const RETRY_DELAYS_MS = [0, 2000, 8000];
+const REQUEST_TIMEOUT_MS = 5000;
+
+// How long delivery records (and their payloads) stay available
+const DELIVERY_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Deliveries shown in the admin log
+const DELIVERY_LOG_LIMIT = 100;
+
+function deliveryKey(id) {
+    return `webhook-delivery:${id}`;
+}
+
+function randomHex(byteCount) {
+    const bytes = new Uint8Array(byteCount);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Newest first in KV's lexicographic listing order
+function generateDeliveryId() {
+    const reversed = (9999999999999 - Date.now()).toString().padStart(13, '0');
+    return `dlv_${reversed}_${randomHex(4)}`;
+}
+
+export function generateWebhookId() {
+    return `wh_${randomHex(8)}`;
+}
+
+export function generateWebhookSecret() {
+    return `whsec_${randomHex(24)}`;
+}
+
+export async function listWebhooks(kv) {
+    return await kv.get('webhooks:list', 'json') || [];
+}
+
+export async function saveWebhooks(kv, webhooks) {
+    await kv.put('webhooks:list', JSON.stringify(webhooks));
+}
+
+// Only HTTPS endpoints, plus plain HTTP on localhost for development
+export function isValidWebhookUrl(value) {
+    try {
+        const url = new URL(value);
+        if (url.protocol === 'https:') return true;
+        return url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Check the admin-editable parts of a subscription, returns { accepted, errors }
+export function validateWebhookInput(input, partial = false) {
+    const errors = [];
+    const accepted = {};
+
+    if (input.url !== undefined || !partial) {
+        if (!isValidWebhookUrl(input.url)) {
+            errors.push('url must be an https:// URL');
+        } else {
+            accepted.url = input.url;
+        }
+    }
+
+    if (input.events !== undefined || !partial) {
+        const events = input.events;
+        if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+            errors.push(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+        } else {
+            accepted.events = [...new Set(events)];
+        }
+    }
+
+    if (input.formId !== undefined && input.formId !== null) {
+        if (typeof input.formId !== 'string' || !input.formId) {
+            errors.push('formId must be a form ID or null for all forms');
+        } else {
+            accepted.formId = input.formId;
+        }
+    } else if (input.formId === null) {
+        accepted.formId = null;
+    }
+
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') {
+            errors.push('active must be true or false');
+        } else {
+            accepted.active = input.active;
+        }
+    }
+
+    return { accepted, errors };
+}
+
+// What subscribers get for a record: no secrets, no request metadata, and
+// Aadhar masked, since the payload is also kept with the delivery for a week
+function toWebhookRecord(record) {
+    const { editTokenHash, ip, userAgent, ...data } = record;
+    if (data.aadhar) data.aadhar = maskValue('aadhar', data.aadhar);
+    return data;
+}
+
+async function sign(secret, timestamp, body) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`));
+    return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Persist a delivery, mirroring everything but the payload into metadata
+async function saveDelivery(kv, delivery) {
+    const { body, ...summary } = delivery;
+    if (summary.lastError) {
+        summary.lastError = summary.lastError.substring(0, 200);
+    }
+
+    await kv.put(deliveryKey(delivery.id), JSON.stringify(delivery), {
+        expirationTtl: DELIVERY_TTL_SECONDS,
+        metadata: summary
+    });
+}
+
+// One POST to the subscriber, returns { ok, statusCode, error }
+async function postOnce(webhook, delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = await sign(webhook.secret, timestamp, delivery.body);
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'student-form-webhooks/1',
+                'X-Webhook-Id': delivery.eventId,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Signature': `t=${timestamp},v1=${signature}`
+            },
+            body: delivery.body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        return {
+            ok: response.ok,
+            statusCode: response.status,
+            error: response.ok ? null : `HTTP ${response.status}`
+        };
+    } catch (error) {
+        return { ok: false, statusCode: null, error: error.message };
+    }
+}
+
+// Try a delivery until it succeeds or the retry schedule runs out
+async function attemptDelivery(kv, webhook, delivery, delays) {
+    for (const delay of delays) {
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        const result = await postOnce(webhook, delivery);
+        delivery.attempts++;
+        delivery.lastAttemptAt = new Date().toISOString();
+        delivery.lastStatusCode = result.statusCode;
+        delivery.lastError = result.error;
+
+        if (result.ok) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = delivery.lastAttemptAt;
+            break;
+        }
+
+        delivery.status = 'failed';
+    }
+
+    await saveDelivery(kv, delivery);
+    return delivery;
+}
+
+// Run work after the response when the runtime allows it
+async function inBackground(context, promise) {
+    const guarded = promise.catch(error => console.error('Webhook delivery error:', error));
+    if (typeof context.waitUntil === 'function') {
+        context.waitUntil(guarded);
+    } else {
+        await guarded;
+    }
+}
+
+// Notify every matching subscription about a registration event
+export async function dispatchEvent(context, type, record) {
+    const kv = context.env.KV_RESPONSES;
+    const formId = record.formId || DEFAULT_FORM_ID;
+
+    const webhooks = (await listWebhooks(kv)).filter(webhook =>
+        webhook.active &&
+        webhook.events.includes(type) &&
+        (!webhook.formId || webhook.formId === formId)
+    );
+    if (webhooks.length === 0) return;
+
+    const createdAt = new Date().toISOString();
+    const event = {
+        id: `evt_${randomHex(12)}`,
+        type: type,
+        createdAt: createdAt,
+        formId: formId,
+        data: type === 'registration.deleted'
+            ? { id: record.id, formId: formId, deletedAt: createdAt }
+            : toWebhookRecord(record)
+    };
+    const body = JSON.stringify(event);
+
+    const deliveries = [];
+    for (const webhook of webhooks) {
+        const delivery = {
+            id: generateDeliveryId(),
+            webhookId: webhook.id,
+            url: webhook.url,
+            event: type,
+            eventId: event.id,
+            responseId: record.id,
+            createdAt: createdAt,
+            status: 'pending',
+            attempts: 0,
+            lastStatusCode: null,
+            lastError: null,
+            body: body
+        };
+        await saveDelivery(kv, delivery);
+        deliveries.push(attemptDelivery(kv, webhook, delivery, RETRY_DELAYS_MS));
+    }
+
+    await inBackground(context, Promise.all(deliveries));
+}
+
+// Newest deliveries first, without payloads
+export async function listDeliveries(kv) {
+    const listed = await kv.list({ prefix: 'webhook-delivery:', limit: DELIVERY_LOG_LIMIT });
+    return listed.keys.filter(key => key.metadata).map(key => key.metadata);
+}
+
+// Drop every stored delivery about a response, since their payloads hold the
+// record (for when it is erased)
+export async function deleteDeliveries(kv, responseId) {
+    let cursor;
+    do {
+        const page = await kv.list({ prefix: 'webhook-delivery:', cursor });
+        await Promise.all(page.keys
+            .filter(key => key.metadata && key.metadata.responseId === responseId)
+            .map(key => kv.delete(key.name)));
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+}
+
+// Send a stored delivery again once, now. Returns the updated summary,
+// null if the delivery expired, or { error } if its subscription is gone.
+export async function redeliver(kv, deliveryId) {
+    const delivery = await kv.get(deliveryKey(deliveryId), 'json');
+    if (!delivery) return null;
+
+    const webhook = (await listWebhooks(kv)).find(w => w.id === delivery.webhookId);
+    if (!webhook) {
+        return { error: 'The webhook for this delivery no longer exists' };
+    }
+
+    delivery.url = webhook.url;
+    const { body, ...summary } = await attemptDelivery(kv, webhook, delivery, [0]);
+    return summary;
+}
@@ -0,0 +1,74 @@
+import { getForm, getFormId, formNotFoundResponse } from '../_lib/forms.js';
+import { getFormSettings } from '../_lib/settings.js';
+import { getStorage } from '../_lib/storage.js';
+import { getAvailability } from '../_lib/availability.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Public: whether the form is open, when it opens or closes, and whether new
+// registrations go on the waitlist. The student form shows its countdown from this.
+export async function onRequestGet(context) {
+    const { env } = context;
+
+    try {
+        // Resolve the form
+        const formId = getFormId(context);
+        const form = await getForm(env.KV_RESPONSES, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
+        }
+
+        const settings = await getFormSettings(env.KV_RESPONSES, formId);
+        // Shown to every visitor, so a count snapshot will do
+        const availability = await getAvailability(getStorage(env), formId, settings, { cachedCount: true });
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: availability
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Get availability error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch form availability',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
@@ -0,0 +1,61 @@
+import { issueChallenge } from '../_lib/challenge.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Public: a fresh bot-check ticket for the student form
+export async function onRequestGet(context) {
+    const { env } = context;
+
+    try {
+        const challenge = await issueChallenge(env);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: challenge
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Issue challenge error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to prepare the form',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
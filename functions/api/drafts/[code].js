@@ -0,0 +1,149 @@
+import { getFormId } from '../../_lib/forms.js';
+import { normalizeDraftCode, formatDraftCode, draftKey, openDraftData } from '../../_lib/drafts.js';
+import { checkRateLimit, rateLimitedResponse, withRateLimitHeaders } from '../../_lib/rate-limit.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Same response for malformed, expired and unknown codes
+function draftNotFoundResponse() {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: 'Draft not found or expired'
+        }),
+        {
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+}
+
+// Load a draft so the form can be restored.
+// Rate limited per client, since a resume code is all it takes.
+export async function onRequestGet(context) {
+    const rateLimit = await checkRateLimit(context, 'drafts');
+    if (!rateLimit.allowed) {
+        return rateLimitedResponse(rateLimit, 'Too many resume attempts. Please try again later.');
+    }
+
+    return withRateLimitHeaders(await loadDraft(context), rateLimit);
+}
+
+async function loadDraft(context) {
+    const { env } = context;
+
+    try {
+        const code = normalizeDraftCode(context.params.code);
+        if (!code) {
+            return draftNotFoundResponse();
+        }
+
+        const draft = await env.KV_RESPONSES.get(draftKey(code), 'json');
+        if (!draft || draft.formId !== getFormId(context)) {
+            return draftNotFoundResponse();
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: {
+                    code: formatDraftCode(code),
+                    data: await openDraftData(env, code, draft.data),
+                    updatedAt: draft.updatedAt,
+                    expiresAt: draft.expiresAt
+                }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Load draft error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to load draft',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Discard a draft
+export async function onRequestDelete(context) {
+    const { env } = context;
+
+    try {
+        const code = normalizeDraftCode(context.params.code);
+        if (!code) {
+            return draftNotFoundResponse();
+        }
+
+        const kv = env.KV_RESPONSES;
+        const draft = await kv.get(draftKey(code), 'json');
+        if (!draft || draft.formId !== getFormId(context)) {
+            return draftNotFoundResponse();
+        }
+
+        await kv.delete(draftKey(code));
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Draft deleted'
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Delete draft error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to delete draft'
+            }),
+            {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
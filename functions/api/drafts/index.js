@@ -0,0 +1,158 @@
+import { getForm, getFormId, formNotFoundResponse } from '../../_lib/forms.js';
+import { getFormSchema } from '../../_lib/form-schema.js';
+import { getFormSettings } from '../../_lib/settings.js';
+import {
+    DRAFT_EXCLUDED_FIELDS, generateDraftCode, normalizeDraftCode, formatDraftCode, draftKey, sealDraftData
+} from '../../_lib/drafts.js';
+
+// Configuration
+const CONFIG = {
+    MAX_VALUE_LENGTH: 500,
+    DEBUG_MODE: false
+};
+
+// Save a partial submission and return its resume code
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    try {
+        // Resolve the form
+        const formId = getFormId(context);
+        const kv = env.KV_RESPONSES;
+        const form = await getForm(kv, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
+        }
+
+        // Parse request body
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Invalid JSON data'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        // Keep only known fields; drafts are not validated, just bounded
+        const schema = await getFormSchema(kv, formId);
+        const input = body.data || {};
+        const data = {};
+
+        for (const field of schema.fields) {
+            if (DRAFT_EXCLUDED_FIELDS.includes(field.name)) continue;
+
+            const value = input[field.name];
+            if (value === undefined || value === null) continue;
+
+            const trimmed = value.toString().trim().substring(0, CONFIG.MAX_VALUE_LENGTH);
+            if (trimmed !== '') {
+                data[field.name] = trimmed;
+            }
+        }
+
+        if (Object.keys(data).length === 0) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Nothing to save. Fill at least one field first.'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        // Reuse the existing code when the student saves again
+        let code = null;
+        let createdAt = new Date().toISOString();
+        const existingCode = normalizeDraftCode(body.code);
+
+        if (existingCode) {
+            const existing = await kv.get(draftKey(existingCode), 'json');
+            if (existing && existing.formId === formId) {
+                code = existingCode;
+                createdAt = existing.createdAt;
+            }
+        }
+
+        if (!code) {
+            code = generateDraftCode();
+        }
+
+        const settings = await getFormSettings(kv, formId);
+        const ttlSeconds = settings.draftTtlDays * 24 * 60 * 60;
+        const now = new Date();
+
+        const draft = {
+            code: code,
+            formId: formId,
+            data: await sealDraftData(env, code, data),
+            createdAt: createdAt,
+            updatedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString()
+        };
+
+        await kv.put(draftKey(code), JSON.stringify(draft), {
+            expirationTtl: ttlSeconds
+        });
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Draft saved',
+                data: {
+                    code: formatDraftCode(code),
+                    expiresAt: draft.expiresAt
+                }
+            }),
+            {
+                status: 201,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Save draft error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to save draft',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
@@ -1,70 +1,96 @@
+import { getAdminSession, unauthorizedResponse } from '../_lib/auth.js';
+import { sha256Hex } from '../_lib/edit-token.js';
+import { DEFAULT_FORM_ID, getForm, getFormId, formNotFoundResponse } from '../_lib/forms.js';
+import { CORE_FIELDS, getFormSchema } from '../_lib/form-schema.js';
+import { MASKED_FIELDS, toAdminView, toMaskedView } from '../_lib/responses.js';
+import { getStorage } from '../_lib/storage.js';
+import { RESPONSE_CSV_COLUMNS, csvCell } from '../_lib/csv.js';
+
+// Configuration
+const CONFIG = {
+    AUDIT_TTL: 365 * 24 * 60 * 60 // keep export audit entries for a year
+};
+
+// Every registration of a form as a file (admin only). Aadhar and mobile
+// are masked like the listing unless ?reveal=1 asks for them in full; every
+// export is written to the security log as a `data_export` entry naming the
+// admin session, the form, the format and the fields revealed.
 export async function onRequestGet(context) {
     const { request, env } = context;
     
     try {
         // Check admin session
-        const sessionValid = await validateAdminSession(request, env);
-        if (!sessionValid) {
-            return new Response(
-                JSON.stringify({
-                    success: false,
-                    error: 'Unauthorized access'
-                }),
-                {
-                    status: 401,
-                    headers: { 'Content-Type': 'application/json' }
-                }
-            );
+        const session = await getAdminSession(request, env);
+        if (!session) {
+            return unauthorizedResponse();
+        }
+        
+        // Resolve the form
+        const formId = getFormId(context);
+        const form = await getForm(env.KV_RESPONSES, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
         }
         
         const url = new URL(request.url);
         const format = url.searchParams.get('format') || 'csv';
+        const reveal = url.searchParams.get('reveal') === '1';
         
         // Get KV instance
         const kv = env.KV_RESPONSES;
         
-        // Get all response IDs
-        const responsesList = await kv.get('responses:list', 'json') || [];
-        
-        // Get individual responses
-        const responses = [];
-        for (const id of responsesList) {
-            const response = await kv.get(`response:${id}`, 'json');
-            if (response) {
-                responses.push(response);
-            }
-        }
+        // Get all responses
+        const storage = getStorage(env);
+        const responses = (await storage.listResponses(formId)).map(reveal ? toAdminView : toMaskedView);
         
         // Sort by timestamp (newest first)
         responses.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
         
+        // Admin-added fields become extra columns
+        const schema = await getFormSchema(kv, formId);
+        const extraFields = schema.fields.filter(field => !CORE_FIELDS.includes(field.name));
+        
         let exportData;
         let contentType;
         let fileName;
+        const filePrefix = formId === DEFAULT_FORM_ID ? 'student_responses' : `${formId}_responses`;
         
         switch (format.toLowerCase()) {
             case 'csv':
-                exportData = convertToCSV(responses);
-                contentType = 'text/csv';
-                fileName = `student_responses_${new Date().toISOString().split('T')[0]}.csv`;
+                exportData = convertToCSV(responses, extraFields);
+                contentType = 'text/csv; charset=utf-8';
+                fileName = `${filePrefix}_${new Date().toISOString().split('T')[0]}.csv`;
                 break;
                 
             case 'json':
                 exportData = JSON.stringify(responses, null, 2);
                 contentType = 'application/json';
-                fileName = `student_responses_${new Date().toISOString().split('T')[0]}.json`;
+                fileName = `${filePrefix}_${new Date().toISOString().split('T')[0]}.json`;
                 break;
                 
             case 'excel':
-                exportData = convertToExcel(responses);
+                exportData = convertToExcel(responses, extraFields);
                 contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-                fileName = `student_responses_${new Date().toISOString().split('T')[0]}.xlsx`;
+                fileName = `${filePrefix}_${new Date().toISOString().split('T')[0]}.xlsx`;
                 break;
                 
             default:
                 throw new Error('Unsupported format');
         }
         
+        // Audit before anything is returned; a failed write refuses the export
+        await storage.logSecurityEvent('data_export', {
+            timestamp: new Date().toISOString(),
+            formId: formId,
+            format: format.toLowerCase(),
+            records: responses.length,
+            fields: reveal ? MASKED_FIELDS : [],
+            session: (await sha256Hex(session.id)).substring(0, 16),
+            sessionStartedAt: new Date(session.timestamp).toISOString(),
+            ip: request.headers.get('CF-Connecting-IP') || 'unknown',
+            userAgent: request.headers.get('User-Agent') || 'unknown'
+        }, CONFIG.AUDIT_TTL);
+        
         return new Response(exportData, {
             status: 200,
             headers: {
@@ -90,23 +116,30 @@ export async function onRequestGet(context) {
     }
 }
 
-function convertToCSV(responses) {
-    const headers = ['Timestamp', 'Name', 'Date of Birth', 'Mobile No', 'Father Name', 'Aadhar No', 'IP Address'];
+function convertToCSV(responses, extraFields = []) {
+    const headers = [
+        ...RESPONSE_CSV_COLUMNS.map(column => column.header),
+        ...extraFields.map(field => field.label.en)
+    ];
     
     const rows = responses.map(response => [
         new Date(response.timestamp).toLocaleString('hi-IN'),
-        `"${response.name}"`,
+        response.name,
         response.dob,
-        `"${formatMobile(response.mobile)}"`,
-        `"${response.father}"`,
-        `"${formatAadhar(response.aadhar)}"`,
-        response.ip || 'N/A'
+        formatMobile(response.mobile),
+        response.father,
+        formatAadhar(response.aadhar),
+        response.ip || 'N/A',
+        ...extraFields.map(field => response[field.name])
     ]);
     
-    return [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
+    // Byte order mark so Excel reads the file as UTF-8 (Devanagari names)
+    return '\uFEFF' + [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
 }
 
+// Masked values (XXXXXX7890) are written as they are
 function formatMobile(mobile) {
+    if (/X/.test(mobile)) return mobile;
     const cleaned = mobile.toString().replace(/\D/g, '');
     if (cleaned.length === 10) {
         return `${cleaned.substring(0,5)} ${cleaned.substring(5)}`;
@@ -115,6 +148,7 @@ function formatMobile(mobile) {
 }
 
 function formatAadhar(aadhar) {
+    if (/X/.test(aadhar)) return aadhar;
     const cleaned = aadhar.toString().replace(/\D/g, '');
     if (cleaned.length === 12) {
         return `${cleaned.substring(0,4)} ${cleaned.substring(4,8)} ${cleaned.substring(8)}`;
@@ -124,30 +158,6 @@ function formatAadhar(aadhar) {
 
 // Note: Excel conversion would require a library
 // For simplicity, we're returning CSV for excel format too
-function convertToExcel(responses) {
-    return convertToCSV(responses);
-}
-
-async function validateAdminSession(request, env) {
-    // Same validation as in responses.js
-    const cookieHeader = request.headers.get('Cookie');
-    if (!cookieHeader) return false;
-    
-    const cookies = Object.fromEntries(
-        cookieHeader.split('; ').map(c => c.split('='))
-    );
-    
-    const sessionId = cookies.admin_session;
-    if (!sessionId) return false;
-    
-    const sessionData = await env.KV_RESPONSES.get(`session:${sessionId}`, 'json');
-    
-    if (!sessionData || !sessionData.loggedIn) return false;
-    
-    if (Date.now() - sessionData.timestamp > 24 * 60 * 60 * 1000) {
-        await env.KV_RESPONSES.delete(`session:${sessionId}`);
-        return false;
-    }
-    
-    return true;
+function convertToExcel(responses, extraFields) {
+    return convertToCSV(responses, extraFields);
 }
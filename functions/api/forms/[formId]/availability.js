@@ -0,0 +1,2 @@
+// /api/forms/:formId/availability, scoped by context.params.formId
+export { onRequestGet, onRequestOptions } from '../../availability.js';
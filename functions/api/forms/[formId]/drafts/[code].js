@@ -0,0 +1,2 @@
+// /api/forms/:formId/drafts/:code, scoped by context.params.formId
+export { onRequestGet, onRequestDelete, onRequestOptions } from '../../../drafts/[code].js';
@@ -0,0 +1,2 @@
+// /api/forms/:formId/drafts, scoped by context.params.formId
+export { onRequestPost, onRequestOptions } from '../../../drafts/index.js';
@@ -0,0 +1,2 @@
+// /api/forms/:formId/export, scoped by context.params.formId
+export { onRequestGet } from '../../export.js';
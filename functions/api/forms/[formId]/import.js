@@ -0,0 +1,2 @@
+// /api/forms/:formId/import, scoped by context.params.formId
+export { onRequestPost, onRequestOptions } from '../../import.js';
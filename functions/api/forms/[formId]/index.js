@@ -0,0 +1,158 @@
+import { validateAdminSession, unauthorizedResponse } from '../../../_lib/auth.js';
+import { formKey, getForm, getFormId, formNotFoundResponse, DEFAULT_FORM_ID } from '../../../_lib/forms.js';
+import { getStorage } from '../../../_lib/storage.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Form details
+export async function onRequestGet(context) {
+    const { env } = context;
+
+    try {
+        const formId = getFormId(context);
+        const form = await getForm(env.KV_RESPONSES, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: form
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Get form error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch form',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Remove an empty form from the registry (admin only)
+export async function onRequestDelete(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        const formId = getFormId(context);
+        const kv = env.KV_RESPONSES;
+
+        if (formId === DEFAULT_FORM_ID) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'The default form cannot be deleted'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const form = await getForm(kv, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
+        }
+
+        // Refuse while the form still holds registrations
+        const responseCount = await getStorage(env).countResponses(formId);
+        if (responseCount > 0) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `Form has ${responseCount} responses and cannot be deleted`
+                }),
+                {
+                    status: 409,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const forms = await kv.get('forms:list', 'json') || [];
+        await kv.put('forms:list', JSON.stringify(forms.filter(f => f.id !== formId)));
+
+        // Clean up the form's own configuration
+        await Promise.all(
+            ['schema', 'settings']
+                .map(key => kv.delete(formKey(formId, key)))
+        );
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Form deleted'
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Delete form error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to delete form',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
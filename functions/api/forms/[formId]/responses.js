@@ -0,0 +1,2 @@
+// /api/forms/:formId/responses, scoped by context.params.formId
+export { onRequestGet, onRequestOptions } from '../../responses.js';
@@ -0,0 +1,2 @@
+// /api/forms/:formId/rights/session, scoped by context.params.formId (mobile lookups)
+export { onRequestPost, onRequestOptions } from '../../../rights/session.js';
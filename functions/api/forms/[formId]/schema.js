@@ -0,0 +1,2 @@
+// /api/forms/:formId/schema, scoped by context.params.formId
+export { onRequestGet, onRequestPut, onRequestDelete, onRequestOptions } from '../../schema.js';
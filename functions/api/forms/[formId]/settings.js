@@ -0,0 +1,2 @@
+// /api/forms/:formId/settings, scoped by context.params.formId
+export { onRequestGet, onRequestPut, onRequestOptions } from '../../settings.js';
@@ -0,0 +1,2 @@
+// /api/forms/:formId/status, scoped by context.params.formId (mobile lookups)
+export { onRequestPost, onRequestOptions } from '../../status.js';
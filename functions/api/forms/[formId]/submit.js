@@ -0,0 +1,2 @@
+// /api/forms/:formId/submit, scoped by context.params.formId
+export { onRequestPost, onRequestOptions } from '../../submit.js';
@@ -0,0 +1,180 @@
+import { validateAdminSession, unauthorizedResponse } from '../../_lib/auth.js';
+import { listForms, isValidFormId, DEFAULT_FORM_ID } from '../../_lib/forms.js';
+
+// Configuration
+const CONFIG = {
+    MAX_TITLE_LENGTH: 100,
+    DEBUG_MODE: false
+};
+
+// List all forms (public, used by the form switcher and student links)
+export async function onRequestGet(context) {
+    const { env } = context;
+
+    try {
+        const forms = await listForms(env.KV_RESPONSES);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: forms.map(form => ({
+                    id: form.id,
+                    title: form.title,
+                    createdAt: form.createdAt
+                }))
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('List forms error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch forms',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Create a new form (admin only)
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        // Parse request body
+        let formData;
+        try {
+            formData = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Invalid JSON data'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const id = (formData.id || '').toString().trim().toLowerCase();
+        const title = (formData.title || '').toString().trim();
+
+        const validationErrors = [];
+        if (!isValidFormId(id)) {
+            validationErrors.push('Form ID must be 2-40 characters: lowercase letters, digits and hyphens');
+        }
+        if (title.length < 2 || title.length > CONFIG.MAX_TITLE_LENGTH) {
+            validationErrors.push(`Title must be between 2 and ${CONFIG.MAX_TITLE_LENGTH} characters`);
+        }
+
+        if (validationErrors.length > 0) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    errors: validationErrors
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const kv = env.KV_RESPONSES;
+        const forms = await kv.get('forms:list', 'json') || [];
+
+        if (id === DEFAULT_FORM_ID || forms.some(form => form.id === id)) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `Form already exists: ${id}`
+                }),
+                {
+                    status: 409,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const form = {
+            id: id,
+            title: title,
+            createdAt: new Date().toISOString()
+        };
+
+        forms.push(form);
+        await kv.put('forms:list', JSON.stringify(forms));
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Form created',
+                data: form
+            }),
+            {
+                status: 201,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Create form error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to create form',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
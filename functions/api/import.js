@@ -0,0 +1,316 @@
+import { validateAdminSession, unauthorizedResponse } from '../_lib/auth.js';
+import { getForm, getFormId, formNotFoundResponse } from '../_lib/forms.js';
+import { CORE_FIELDS, getFormSchema } from '../_lib/form-schema.js';
+import { getFormSettings } from '../_lib/settings.js';
+import { findMissingFields, validateAgainstSchema, fieldError } from '../_lib/validation.js';
+import { getStorage } from '../_lib/storage.js';
+import { INDEXED_FIELDS, generateResponseId } from '../_lib/responses.js';
+import { RESPONSE_CSV_COLUMNS, parseCsv, uncsvCell } from '../_lib/csv.js';
+import { listNotices, readPaperConsent } from '../_lib/consent.js';
+import { dispatchEvent } from '../_lib/webhooks.js';
+
+// Bulk import of registrations collected on paper (admin only).
+//
+// POST the CSV as the request body, in the layout /api/export writes (the
+// Timestamp and IP Address columns are ignored, admin-added fields are matched
+// by English label or field name), plus a Consent Version column with the
+// privacy notice version printed on the form the parent signed (and an
+// optional Consent Language, hi or en). Every row goes through the same schema
+// validation, consent check and duplicate check as /api/submit, and rows past the form's
+// capacity are waitlisted; OTP and bot checks and the submission window do
+// not apply. With ?dryRun=1 nothing is stored.
+//
+// Rows are processed BATCH_SIZE at a time to stay within the storage
+// operations one request may make: call again with ?offset=<nextOffset>
+// until nextOffset is null. Row numbers in the report are spreadsheet rows
+// (the header is row 1).
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false,
+    MAX_BYTES: 1024 * 1024,
+    BATCH_SIZE: 50
+};
+
+// Paper-form consent columns, by header
+const CONSENT_COLUMNS = {
+    'consent version': 'consentVersion',
+    'consent language': 'consentLanguage'
+};
+
+function errorResponse(status, error) {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: error
+        }),
+        {
+            status: status,
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+}
+
+// Record field for each CSV column: null for export columns that are not
+// imported (Timestamp, IP Address), undefined for columns nobody knows
+function mapColumns(header, schema) {
+    const byHeader = new Map();
+    RESPONSE_CSV_COLUMNS.forEach(column => byHeader.set(column.header.toLowerCase(), column.field || null));
+    Object.entries(CONSENT_COLUMNS).forEach(([name, field]) => {
+        byHeader.set(name, field);
+        byHeader.set(field.toLowerCase(), field);
+    });
+    schema.fields.forEach(field => {
+        byHeader.set(field.name.toLowerCase(), field.name);
+        if (!CORE_FIELDS.includes(field.name)) {
+            byHeader.set(field.label.en.toLowerCase(), field.name);
+        }
+    });
+
+    return header.map(name => byHeader.get(name.trim().toLowerCase()));
+}
+
+// DD/MM/YYYY or DD-MM-YYYY (how dates get typed in India) as YYYY-MM-DD
+function normalizeDate(value) {
+    const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+    return match ? `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}` : value;
+}
+
+// Submission-shaped data from one CSV row
+function rowToFormData(cells, columns, schema) {
+    const formData = {};
+    columns.forEach((field, i) => {
+        const value = uncsvCell((cells[i] || '').trim());
+        if (field && value !== '') {
+            formData[field] = value;
+        }
+    });
+
+    schema.fields
+        .filter(field => field.type === 'date' && formData[field.name])
+        .forEach(field => {
+            formData[field.name] = normalizeDate(formData[field.name]);
+        });
+
+    return formData;
+}
+
+// Schema and consent validation for one row, returns { data, errors }
+function validateRow(schema, notices, formData) {
+    const { consent, error: consentError } = readPaperConsent(formData, notices);
+    const consentErrors = consentError ? [fieldError('consent', 'Consent', ...consentError)] : [];
+
+    const missing = findMissingFields(schema, formData);
+    if (missing.length > 0) {
+        return { data: null, errors: [...missing, ...consentErrors] };
+    }
+
+    const { data, errors } = validateAgainstSchema(schema, formData);
+    return { data: { ...data, consent }, errors: [...errors, ...consentErrors] };
+}
+
+function lookupKeys(data) {
+    return INDEXED_FIELDS.filter(field => data[field]).map(field => `${field}:${data[field]}`);
+}
+
+// Import (or with dryRun, check) a CSV of registrations
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        // Resolve the form
+        const formId = getFormId(context);
+        const form = await getForm(env.KV_RESPONSES, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
+        }
+
+        const url = new URL(request.url);
+        const dryRun = url.searchParams.get('dryRun') === '1';
+        const offset = Math.max(0, parseInt(url.searchParams.get('offset'), 10) || 0);
+
+        const text = await request.text();
+        if (text.length > CONFIG.MAX_BYTES) {
+            return errorResponse(413, 'CSV file is too large (at most 1 MB)');
+        }
+
+        let rows;
+        try {
+            rows = parseCsv(text);
+        } catch (error) {
+            return errorResponse(400, `Could not read the CSV file: ${error.message}`);
+        }
+        if (rows.length < 2) {
+            return errorResponse(400, 'The CSV file needs a header row and at least one registration');
+        }
+
+        const kv = env.KV_RESPONSES;
+        const schema = await getFormSchema(kv, formId);
+        const settings = await getFormSettings(kv, formId);
+        const storage = getStorage(env);
+
+        const [header, ...records] = rows;
+        const columns = mapColumns(header, schema);
+
+        const missingColumns = schema.fields
+            .filter(field => field.required && !columns.includes(field.name))
+            .map(field => field.label.en);
+        if (!columns.includes('consentVersion')) {
+            missingColumns.push('Consent Version');
+        }
+        if (missingColumns.length > 0) {
+            return errorResponse(400, `Missing columns: ${missingColumns.join(', ')}`);
+        }
+        const notices = await listNotices(kv);
+
+        // Aadhar/mobile of earlier valid rows, so repeats within the file are caught
+        // even in a dry run (nothing from it is in storage yet)
+        const seen = new Map();
+        let validBefore = 0;
+        records.slice(0, offset).forEach((cells, i) => {
+            const { data, errors } = validateRow(schema, notices, rowToFormData(cells, columns, schema));
+            if (errors.length === 0) {
+                validBefore++;
+                lookupKeys(data).forEach(key => {
+                    if (!seen.has(key)) seen.set(key, `row ${i + 2}`);
+                });
+            }
+        });
+
+        const clientIP = request.headers.get('CF-Connecting-IP') ||
+                        request.headers.get('X-Forwarded-For') ||
+                        'unknown';
+        // Earlier batches of a dry run hold seats without being stored
+        let seatsLeft = settings.capacity
+            ? settings.capacity - await storage.countResponses(formId) - (dryRun ? validBefore : 0)
+            : Infinity;
+        const report = [];
+        const batch = records.slice(offset, offset + CONFIG.BATCH_SIZE);
+
+        for (const [i, cells] of batch.entries()) {
+            const rowNumber = offset + i + 2;
+            const { data, errors } = validateRow(schema, notices, rowToFormData(cells, columns, schema));
+
+            if (errors.length > 0) {
+                report.push({ row: rowNumber, status: 'error', errors: errors });
+                continue;
+            }
+
+            // Same duplicate rules as /api/submit, except that "update" also just
+            // flags: a bulk file never overwrites a registration
+            const inFile = lookupKeys(data).find(key => seen.has(key));
+            const stored = await storage.findDuplicate(formId, data);
+            const duplicate = stored
+                ? stored
+                : inFile && { id: seen.get(inFile), matchedOn: [inFile.split(':')[0]] };
+
+            if (duplicate && settings.duplicatePolicy === 'reject') {
+                report.push({
+                    row: rowNumber,
+                    status: 'error',
+                    errors: duplicate.matchedOn.map(name => {
+                        const label = schema.fields.find(field => field.name === name).label.en;
+                        return fieldError(name, label, 'duplicate', { existing: duplicate.id });
+                    })
+                });
+                continue;
+            }
+
+            const entry = {
+                row: rowNumber,
+                status: dryRun ? 'valid' : 'imported',
+                name: data.name,
+                duplicateOf: duplicate ? duplicate.id : undefined,
+                waitlisted: seatsLeft <= 0 || undefined
+            };
+            seatsLeft--;
+
+            if (!dryRun) {
+                const record = {
+                    id: generateResponseId(),
+                    formId: formId,
+                    ...data,
+                    timestamp: new Date().toISOString(),
+                    ip: clientIP,
+                    userAgent: 'CSV import'
+                };
+                if (entry.waitlisted) {
+                    record.reviewStatus = 'waitlisted';
+                }
+                if (duplicate) {
+                    record.duplicateOf = duplicate.id;
+                    record.duplicateMatchedOn = duplicate.matchedOn;
+                }
+
+                await storage.createResponse(record);
+                await dispatchEvent(context, 'registration.created', record);
+                entry.id = record.id;
+            }
+
+            lookupKeys(data).forEach(key => {
+                if (!seen.has(key)) seen.set(key, entry.id || `row ${rowNumber}`);
+            });
+            report.push(entry);
+        }
+
+        const nextOffset = offset + batch.length;
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: {
+                    dryRun: dryRun,
+                    totalRows: records.length,
+                    offset: offset,
+                    nextOffset: nextOffset < records.length ? nextOffset : null,
+                    succeeded: report.filter(entry => entry.status !== 'error').length,
+                    failed: report.filter(entry => entry.status === 'error').length,
+                    ignoredColumns: header.filter((name, i) => columns[i] === undefined),
+                    rows: report
+                }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Import error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Import failed',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
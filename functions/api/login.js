@@ -1,37 +1,13 @@
+import { checkRateLimit, resetRateLimit, rateLimitedResponse, withRateLimitHeaders } from '../_lib/rate-limit.js';
+import { getStorage } from '../_lib/storage.js';
+
 // Configuration
 const CONFIG = {
     ADMIN_PASSWORD: null, // Will be set from environment variable
     SESSION_DURATION: 24 * 60 * 60, // 24 hours in seconds
-    MAX_LOGIN_ATTEMPTS: 5,
-    LOGIN_WINDOW_MS: 15 * 60 * 1000, // 15 minutes
     DEBUG_MODE: false
 };
 
-// Store for login attempts (in-memory, will reset on worker restart)
-const loginAttempts = {};
-
-// Helper function to check login attempts
-function checkLoginAttempts(ip) {
-    const now = Date.now();
-    const windowStart = now - CONFIG.LOGIN_WINDOW_MS;
-    
-    if (!loginAttempts[ip]) {
-        loginAttempts[ip] = [];
-    }
-    
-    // Clean old attempts
-    loginAttempts[ip] = loginAttempts[ip].filter(time => time > windowStart);
-    
-    // Check if limit exceeded
-    if (loginAttempts[ip].length >= CONFIG.MAX_LOGIN_ATTEMPTS) {
-        return false;
-    }
-    
-    // Add current attempt
-    loginAttempts[ip].push(now);
-    return true;
-}
-
 // Helper function to generate session ID
 function generateSessionId() {
     const timestamp = Date.now().toString(36);
@@ -53,6 +29,15 @@ function hashPassword(password) {
 }
 
 export async function onRequestPost(context) {
+    const rateLimit = await checkRateLimit(context, 'login');
+    if (!rateLimit.allowed) {
+        return rateLimitedResponse(rateLimit, 'Too many login attempts. Please try again later.');
+    }
+    
+    return withRateLimitHeaders(await handleLogin(context), rateLimit);
+}
+
+async function handleLogin(context) {
     const { request, env } = context;
     
     try {
@@ -64,23 +49,6 @@ export async function onRequestPost(context) {
                         request.headers.get('X-Forwarded-For') || 
                         'unknown';
         
-        // Check login attempts
-        if (!checkLoginAttempts(clientIP)) {
-            return new Response(
-                JSON.stringify({
-                    success: false,
-                    error: 'Too many login attempts. Please try again later.'
-                }),
-                {
-                    status: 429,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Retry-After': '900'
-                    }
-                }
-            );
-        }
-        
         // Parse request body
         let loginData;
         try {
@@ -112,8 +80,8 @@ export async function onRequestPost(context) {
             );
         }
         
-        // Get KV instance
-        const kv = env.KV_RESPONSES;
+        // Get storage
+        const storage = getStorage(env);
         
         // Verify password
         // Note: In production, use proper password hashing and comparison
@@ -122,7 +90,7 @@ export async function onRequestPost(context) {
         
         if (providedHash !== storedHash) {
             // Log failed attempt
-            await logFailedAttempt(kv, clientIP, loginData);
+            await logFailedAttempt(storage, clientIP, loginData);
             
             return new Response(
                 JSON.stringify({
@@ -145,16 +113,14 @@ export async function onRequestPost(context) {
             userAgent: request.headers.get('User-Agent') || 'unknown'
         };
         
-        // Store session in KV
-        await kv.put(`session:${sessionId}`, JSON.stringify(sessionData), {
-            expirationTtl: CONFIG.SESSION_DURATION
-        });
+        // Store session
+        await storage.putSession(sessionId, sessionData, CONFIG.SESSION_DURATION);
         
         // Log successful login
-        await logSuccessfulLogin(kv, clientIP);
+        await logSuccessfulLogin(storage, clientIP);
         
-        // Clear login attempts for this IP
-        delete loginAttempts[clientIP];
+        // Clear login attempts for this client
+        await resetRateLimit(context, 'login');
         
         // Set session cookie
         const cookie = `admin_session=${sessionId}; HttpOnly; Path=/; Max-Age=${CONFIG.SESSION_DURATION}; SameSite=Strict; ${request.url.startsWith('https') ? 'Secure;' : ''}`;
@@ -211,8 +177,8 @@ export async function onRequestGet(context) {
             
             const sessionId = cookies.admin_session;
             if (sessionId) {
-                const kv = env.KV_RESPONSES;
-                sessionData = await kv.get(`session:${sessionId}`, 'json');
+                const storage = getStorage(env);
+                sessionData = await storage.getSession(sessionId);
                 
                 if (sessionData && sessionData.loggedIn) {
                     // Check if session expired
@@ -221,12 +187,10 @@ export async function onRequestGet(context) {
                         
                         // Update last activity (optional)
                         sessionData.lastActivity = Date.now();
-                        await kv.put(`session:${sessionId}`, JSON.stringify(sessionData), {
-                            expirationTtl: CONFIG.SESSION_DURATION
-                        });
+                        await storage.putSession(sessionId, sessionData, CONFIG.SESSION_DURATION);
                     } else {
                         // Session expired, delete it
-                        await kv.delete(`session:${sessionId}`);
+                        await storage.deleteSession(sessionId);
                     }
                 }
             }
@@ -266,7 +230,7 @@ export async function onRequestGet(context) {
 }
 
 // Log failed login attempt
-async function logFailedAttempt(kv, ip, loginData) {
+async function logFailedAttempt(storage, ip, loginData) {
     try {
         const logEntry = {
             type: 'failed_login',
@@ -276,21 +240,8 @@ async function logFailedAttempt(kv, ip, loginData) {
             attemptedPassword: CONFIG.DEBUG_MODE ? loginData.password : '***'
         };
         
-        const logKey = `log:failed_login:${Date.now()}`;
-        await kv.put(logKey, JSON.stringify(logEntry), {
-            expirationTtl: 7 * 24 * 60 * 60 // Keep for 7 days
-        });
-        
-        // Update failed attempts count
-        const securityStats = await kv.get('stats:security', 'json') || {
-            failedAttempts: 0,
-            lastFailed: null
-        };
-        
-        securityStats.failedAttempts++;
-        securityStats.lastFailed = new Date().toISOString();
-        
-        await kv.put('stats:security', JSON.stringify(securityStats));
+        // Keep for 7 days; also counts towards the security stats
+        await storage.logSecurityEvent('failed_login', logEntry, 7 * 24 * 60 * 60);
         
     } catch (error) {
         console.error('Failed to log failed attempt:', error);
@@ -298,7 +249,7 @@ async function logFailedAttempt(kv, ip, loginData) {
 }
 
 // Log successful login
-async function logSuccessfulLogin(kv, ip) {
+async function logSuccessfulLogin(storage, ip) {
     try {
         const logEntry = {
             type: 'successful_login',
@@ -306,22 +257,8 @@ async function logSuccessfulLogin(kv, ip) {
             timestamp: new Date().toISOString()
         };
         
-        const logKey = `log:success_login:${Date.now()}`;
-        await kv.put(logKey, JSON.stringify(logEntry), {
-            expirationTtl: 30 * 24 * 60 * 60 // Keep for 30 days
-        });
-        
-        // Update successful logins count
-        const securityStats = await kv.get('stats:security', 'json') || {
-            successfulLogins: 0,
-            lastSuccessful: null,
-            failedAttempts: 0
-        };
-        
-        securityStats.successfulLogins++;
-        securityStats.lastSuccessful = new Date().toISOString();
-        
-        await kv.put('stats:security', JSON.stringify(securityStats));
+        // Keep for 30 days; also counts towards the security stats
+        await storage.logSecurityEvent('success_login', logEntry, 30 * 24 * 60 * 60);
         
     } catch (error) {
         console.error('Failed to log successful login:', error);
@@ -346,8 +283,7 @@ export async function onRequestDelete(context) {
         
         // If session exists, delete it
         if (sessionId) {
-            const kv = env.KV_RESPONSES;
-            await kv.delete(`session:${sessionId}`);
+            await getStorage(env).deleteSession(sessionId);
         }
         
         // Clear session cookie
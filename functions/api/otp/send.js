@@ -0,0 +1,159 @@
+import { validateIndianMobile } from '../../_lib/validation.js';
+import { OTP_CONFIG, issueOtp } from '../../_lib/otp.js';
+import { getSmsProvider } from '../../_lib/sms.js';
+import { checkRateLimit, rateLimitedResponse, withRateLimitHeaders } from '../../_lib/rate-limit.js';
+import { verifyChallenge, consumeChallenge } from '../../_lib/challenge.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Text a one-time password to a mobile number. Every text costs money, so
+// sending is rate limited per client and needs a bot-check ticket like /submit.
+export async function onRequestPost(context) {
+    const rateLimit = await checkRateLimit(context, 'otp');
+    if (!rateLimit.allowed) {
+        return rateLimitedResponse(rateLimit, 'Too many OTP requests. Please try again later.');
+    }
+
+    let challenge;
+    try {
+        challenge = await verifyChallenge(context);
+    } catch (error) {
+        console.error('Challenge verification error:', error);
+        challenge = { passed: false, status: 503, error: 'Bot check is unavailable. Please try again later.' };
+    }
+
+    if (!challenge.passed) {
+        return withRateLimitHeaders(new Response(
+            JSON.stringify({
+                success: false,
+                error: challenge.error,
+                data: { challengeRequired: true }
+            }),
+            {
+                status: challenge.status,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        ), rateLimit);
+    }
+
+    // Spent on any attempt except a server error, as on /submit
+    const response = await sendOtp(context);
+    if (response.status < 500) {
+        await consumeChallenge(context.env.KV_RESPONSES, challenge.nonce);
+    }
+
+    return withRateLimitHeaders(response, rateLimit);
+}
+
+async function sendOtp(context) {
+    const { request, env } = context;
+
+    try {
+        // Parse request body
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Invalid JSON data'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const mobile = (body.mobile || '').toString().replace(/\D/g, '');
+        if (!validateIndianMobile(mobile)) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Invalid Indian mobile number'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        // A misconfigured provider fails before a code (and its resend cooldown) is issued
+        const provider = getSmsProvider(env);
+        const issued = await issueOtp(env.KV_RESPONSES, mobile);
+        if (issued.error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: issued.error
+                }),
+                {
+                    status: 429,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Retry-After': String(issued.retryAfter)
+                    }
+                }
+            );
+        }
+
+        await provider.send(mobile, `${issued.code} is your registration OTP. It is valid for ${OTP_CONFIG.TTL_SECONDS / 60} minutes. Do not share it with anyone.`);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'OTP sent',
+                data: {
+                    expiresIn: OTP_CONFIG.TTL_SECONDS,
+                    resendIn: OTP_CONFIG.RESEND_COOLDOWN_SECONDS,
+                    // Development only: the loopback provider has nowhere to deliver to
+                    devCode: provider.loopback ? issued.code : undefined
+                }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Send OTP error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to send OTP',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
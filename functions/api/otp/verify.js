@@ -0,0 +1,111 @@
+import { validateIndianMobile } from '../../_lib/validation.js';
+import { OTP_CONFIG, checkOtp } from '../../_lib/otp.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Exchange a correct OTP for a verification token accepted by /api/submit
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    try {
+        // Parse request body
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Invalid JSON data'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const mobile = (body.mobile || '').toString().replace(/\D/g, '');
+        const code = (body.code || '').toString().trim();
+
+        if (!validateIndianMobile(mobile) || !new RegExp(`^\\d{${OTP_CONFIG.LENGTH}}$`).test(code)) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Mobile number and OTP are required'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const result = await checkOtp(env.KV_RESPONSES, mobile, code);
+        if (result.error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: result.error
+                }),
+                {
+                    status: result.status,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Mobile number verified',
+                data: {
+                    verificationToken: result.token,
+                    expiresIn: OTP_CONFIG.VERIFIED_TTL_SECONDS
+                }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Verify OTP error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to verify OTP',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
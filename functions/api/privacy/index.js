@@ -0,0 +1,164 @@
+import { validateAdminSession, unauthorizedResponse } from '../../_lib/auth.js';
+import { listNotices, validateNoticeInput, publishNotice } from '../../_lib/consent.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Public: the current privacy notice, or ?version=<n> for the one a parent
+// agreed to earlier, with the list of published versions
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    try {
+        const notices = await listNotices(env.KV_RESPONSES);
+        const requested = new URL(request.url).searchParams.get('version');
+        const notice = requested
+            ? notices.find(n => n.version === Number(requested))
+            : notices[notices.length - 1];
+
+        if (!notice) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `Privacy notice version not found: ${requested}`
+                }),
+                {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: notice,
+                currentVersion: notices[notices.length - 1].version,
+                versions: notices.map(n => ({ version: n.version, publishedAt: n.publishedAt }))
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Get privacy notice error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch privacy notice',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Publish a new version of the notice (admin only). Earlier versions stay
+// readable; new submissions need consent to this one.
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        // Parse request body
+        let input;
+        try {
+            input = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Invalid JSON data'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const { accepted, errors: validationErrors } = validateNoticeInput(input);
+
+        if (validationErrors.length > 0) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    errors: validationErrors
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const notice = await publishNotice(env.KV_RESPONSES, accepted.text);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: `Privacy notice version ${notice.version} published`,
+                data: notice
+            }),
+            {
+                status: 201,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Publish privacy notice error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to publish privacy notice',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
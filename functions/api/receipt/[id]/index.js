@@ -0,0 +1,96 @@
+import { getForm, DEFAULT_FORM_ID } from '../../../_lib/forms.js';
+import { getFormSchema } from '../../../_lib/form-schema.js';
+import { getStorage } from '../../../_lib/storage.js';
+import { parseEditToken, verifyEditSecret } from '../../../_lib/edit-token.js';
+import { buildReceiptPdf, receiptVerificationUrl } from '../../../_lib/receipt.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Same response for malformed, unknown and wrong tokens
+function invalidTokenResponse() {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: 'Invalid or expired receipt link'
+        }),
+        {
+            status: 403,
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+}
+
+// PDF acknowledgement slip for a submission, authorised by its edit token
+// (X-Edit-Token header or ?token=). ?download=1 saves instead of previewing.
+export async function onRequestGet(context) {
+    const { request, env, params } = context;
+
+    try {
+        const url = new URL(request.url);
+        const parsed = parseEditToken(request.headers.get('X-Edit-Token') || url.searchParams.get('token'));
+        if (!parsed || parsed.responseId !== params.id) {
+            return invalidTokenResponse();
+        }
+
+        const record = await getStorage(env).getResponse(parsed.responseId);
+        if (!record || !(await verifyEditSecret(parsed.secret, record.editTokenHash))) {
+            return invalidTokenResponse();
+        }
+
+        const kv = env.KV_RESPONSES;
+        const formId = record.formId || DEFAULT_FORM_ID;
+        const pdf = buildReceiptPdf({
+            record: record,
+            form: await getForm(kv, formId),
+            schema: await getFormSchema(kv, formId),
+            verifyUrl: await receiptVerificationUrl(env, url.origin, record)
+        });
+
+        const disposition = url.searchParams.has('download') ? 'attachment' : 'inline';
+
+        return new Response(pdf, {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/pdf',
+                'Content-Length': String(pdf.length),
+                'Content-Disposition': `${disposition}; filename="receipt-${record.id}.pdf"`,
+                'X-Content-Type-Options': 'nosniff',
+                'Cache-Control': 'private, no-store'
+            }
+        });
+
+    } catch (error) {
+        console.error('Receipt error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to generate receipt',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, X-Edit-Token',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
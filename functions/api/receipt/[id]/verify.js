@@ -0,0 +1,81 @@
+import { getForm, DEFAULT_FORM_ID } from '../../../_lib/forms.js';
+import { getStorage } from '../../../_lib/storage.js';
+import { verifyReceiptSignature, formatReceiptTime } from '../../../_lib/receipt.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Small standalone page, since this is opened by scanning a printed slip
+function htmlResponse(status, title, lines) {
+    const body = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; background: #f5f7fa; margin: 0; padding: 40px 16px; color: #2c3e50; }
+    main { max-width: 420px; margin: 0 auto; background: white; border-radius: 12px; padding: 24px; box-shadow: 0 2px 10px rgba(0,0,0,0.08); }
+    h1 { font-size: 20px; margin-top: 0; color: ${status === 200 ? '#27ae60' : '#e74c3c'}; }
+    p { margin: 8px 0; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n')}
+</main>
+</body>
+</html>`;
+
+    return new Response(body, {
+        status: status,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'",
+            'Cache-Control': 'no-store'
+        }
+    });
+}
+
+// Target of the QR code on a receipt: confirms that the registration exists,
+// showing only its ID, form and submission time. Unknown IDs, deleted
+// registrations and bad signatures all get the same answer.
+export async function onRequestGet(context) {
+    const { request, env, params } = context;
+
+    try {
+        const signature = new URL(request.url).searchParams.get('sig');
+        const record = signature ? await getStorage(env).getResponse(params.id) : null;
+
+        if (!record || !(await verifyReceiptSignature(env, record, signature))) {
+            return htmlResponse(404, 'Receipt not recognised', [
+                'This acknowledgement slip could not be matched to a registration.',
+                'Please contact the office with the response ID printed on the slip.'
+            ]);
+        }
+
+        const form = await getForm(env.KV_RESPONSES, record.formId || DEFAULT_FORM_ID);
+
+        return htmlResponse(200, 'Registration confirmed', [
+            `Form: ${form ? form.title : record.formId}`,
+            `Response ID: ${record.id}`,
+            `Submitted: ${formatReceiptTime(record.timestamp)}`
+        ]);
+
+    } catch (error) {
+        console.error('Receipt verification error:', error);
+
+        return htmlResponse(500, 'Verification unavailable', [
+            'Please try again in a few minutes.',
+            CONFIG.DEBUG_MODE ? error.message : ''
+        ].filter(Boolean));
+    }
+}
@@ -0,0 +1,309 @@
+import { getFormSchema } from '../_lib/form-schema.js';
+import { getFormSettings } from '../_lib/settings.js';
+import { findMissingFields, validateAgainstSchema, validationErrorResponse } from '../_lib/validation.js';
+import { getStorage } from '../_lib/storage.js';
+import { parseEditToken, verifyEditSecret } from '../_lib/edit-token.js';
+import { isMobileVerified, consumeVerification } from '../_lib/otp.js';
+import { dispatchEvent } from '../_lib/webhooks.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Same response for malformed, unknown and wrong tokens
+function invalidTokenResponse() {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: 'Invalid or expired edit link'
+        }),
+        {
+            status: 403,
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+}
+
+// Find the response an edit token belongs to, null if the token does not match
+async function findRecordByToken(request, storage) {
+    const url = new URL(request.url);
+    const token = request.headers.get('X-Edit-Token') || url.searchParams.get('token');
+    const parsed = parseEditToken(token);
+    if (!parsed) return null;
+
+    const record = await storage.getResponse(parsed.responseId);
+    if (!record) return null;
+
+    const valid = await verifyEditSecret(parsed.secret, record.editTokenHash);
+    return valid ? record : null;
+}
+
+// Last moment the student may edit, null when editing is disabled
+function getEditDeadline(record, settings) {
+    if (settings.editWindowDays <= 0) return null;
+    return new Date(new Date(record.timestamp).getTime() + settings.editWindowDays * 24 * 60 * 60 * 1000);
+}
+
+// What the student sees of their own record
+function toStudentView(record, schema, settings, deadline) {
+    const fields = {};
+    schema.fields.forEach(field => {
+        if (record[field.name] !== undefined) {
+            fields[field.name] = record[field.name];
+        }
+    });
+
+    return {
+        id: record.id,
+        formId: record.formId || 'default',
+        timestamp: record.timestamp,
+        updatedAt: record.updatedAt || null,
+        fields: fields,
+        schema: schema,
+        editableUntil: deadline ? deadline.toISOString() : null,
+        editable: !!deadline && Date.now() <= deadline.getTime(),
+        requirements: {
+            mobileOtp: settings.mobileVerification === 'required'
+        }
+    };
+}
+
+// Fetch a registration with its edit token
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    try {
+        const kv = env.KV_RESPONSES;
+        const storage = getStorage(env);
+        const record = await findRecordByToken(request, storage);
+        if (!record) {
+            return invalidTokenResponse();
+        }
+
+        const formId = record.formId || 'default';
+        const schema = await getFormSchema(kv, formId);
+        const settings = await getFormSettings(kv, formId);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: toStudentView(record, schema, settings, getEditDeadline(record, settings))
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Get registration error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch registration',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Correct a registration with its edit token
+export async function onRequestPatch(context) {
+    const { request, env } = context;
+
+    try {
+        const kv = env.KV_RESPONSES;
+        const storage = getStorage(env);
+        const record = await findRecordByToken(request, storage);
+        if (!record) {
+            return invalidTokenResponse();
+        }
+
+        const formId = record.formId || 'default';
+        const schema = await getFormSchema(kv, formId);
+        const settings = await getFormSettings(kv, formId);
+
+        // Editing closes after the configured window
+        const deadline = getEditDeadline(record, settings);
+        if (!deadline || Date.now() > deadline.getTime()) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'The correction period for this registration has ended'
+                }),
+                {
+                    status: 403,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        // Parse request body
+        let changes;
+        try {
+            changes = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Invalid JSON data'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Request body must be a JSON object'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        // Apply the changes over the stored values, then validate as a full submission
+        const merged = {};
+        schema.fields.forEach(field => {
+            merged[field.name] = changes[field.name] !== undefined ? changes[field.name] : record[field.name];
+        });
+
+        const missingFields = findMissingFields(schema, merged);
+
+        if (missingFields.length > 0) {
+            return validationErrorResponse(missingFields);
+        }
+
+        const { data: sanitizedData, errors: validationErrors } = validateAgainstSchema(schema, merged);
+
+        if (validationErrors.length > 0) {
+            return validationErrorResponse(validationErrors);
+        }
+
+        // A new mobile number needs the same OTP proof as a new registration
+        const mobileChanged = sanitizedData.mobile !== record.mobile;
+        if (mobileChanged && settings.mobileVerification === 'required' &&
+            !await isMobileVerified(kv, changes.mobileVerificationToken, sanitizedData.mobile)) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Please verify your new mobile number with the OTP first',
+                    data: { mobileVerificationRequired: true }
+                }),
+                {
+                    status: 403,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        // An edit must not collide with someone else's registration; a flagged
+        // duplicate may keep sharing details with the one it was flagged against
+        const duplicate = await storage.findDuplicate(
+            formId, sanitizedData, [record.id, record.duplicateOf].filter(Boolean)
+        );
+        if (duplicate) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Another registration already uses this Aadhar or mobile number',
+                    data: { matchedOn: duplicate.matchedOn }
+                }),
+                {
+                    status: 409,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const clientIP = request.headers.get('CF-Connecting-IP') ||
+                        request.headers.get('X-Forwarded-For') ||
+                        'unknown';
+
+        const updated = {
+            ...record,
+            ...sanitizedData,
+            updatedAt: new Date().toISOString(),
+            updateCount: (record.updateCount || 0) + 1,
+            ip: clientIP,
+            userAgent: request.headers.get('User-Agent') || 'unknown'
+        };
+
+        // Optional fields the student cleared
+        schema.fields.forEach(field => {
+            if (sanitizedData[field.name] === undefined) {
+                delete updated[field.name];
+            }
+        });
+
+        await storage.replaceResponse(record, updated, 'student-edit');
+        if (mobileChanged) {
+            await consumeVerification(kv, changes.mobileVerificationToken);
+        }
+        await dispatchEvent(context, 'registration.updated', updated);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Registration updated',
+                data: toStudentView(updated, schema, settings, deadline)
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Update registration error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to update registration',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, PATCH, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, X-Edit-Token',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
@@ -1,3 +1,8 @@
+import { validateAdminSession, unauthorizedResponse } from '../_lib/auth.js';
+import { formKey, getForm, getFormId, formNotFoundResponse } from '../_lib/forms.js';
+import { toMaskedView } from '../_lib/responses.js';
+import { getStorage, normalizeResponseQuery } from '../_lib/storage.js';
+
 // Configuration
 const CONFIG = {
     MAX_RESPONSES: 1000, // Maximum responses to return
@@ -5,140 +10,47 @@ const CONFIG = {
     DEBUG_MODE: false
 };
 
-// Helper function to paginate array
-function paginateArray(array, page = 1, limit = 50) {
-    const offset = (page - 1) * limit;
-    const paginatedItems = array.slice(offset, offset + limit);
-    const totalPages = Math.ceil(array.length / limit);
+// Pagination block for a page of a larger result
+function buildPagination(page, limit, totalItems) {
+    const totalPages = Math.ceil(totalItems / limit);
     
     return {
-        items: paginatedItems,
-        pagination: {
-            page: page,
-            limit: limit,
-            totalItems: array.length,
-            totalPages: totalPages,
-            hasNextPage: page < totalPages,
-            hasPrevPage: page > 1
-        }
+        page: page,
+        limit: limit,
+        totalItems: totalItems,
+        totalPages: totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
     };
 }
 
-// Helper function to filter responses
-function filterResponses(responses, filters = {}) {
-    return responses.filter(response => {
-        // Search filter
-        if (filters.search) {
-            const searchLower = filters.search.toLowerCase();
-            const searchable = [
-                response.name,
-                response.father,
-                response.mobile,
-                response.aadhar,
-                response.dob
-            ].join(' ').toLowerCase();
-            
-            if (!searchable.includes(searchLower)) {
-                return false;
-            }
-        }
-        
-        // Date range filter
-        if (filters.startDate || filters.endDate) {
-            const responseDate = new Date(response.timestamp).getTime();
-            
-            if (filters.startDate) {
-                const startDate = new Date(filters.startDate).getTime();
-                if (responseDate < startDate) return false;
-            }
-            
-            if (filters.endDate) {
-                const endDate = new Date(filters.endDate).getTime();
-                if (responseDate > endDate) return false;
-            }
-        }
-        
-        // Mobile filter
-        if (filters.mobile) {
-            if (!response.mobile.includes(filters.mobile.replace(/\D/g, ''))) {
-                return false;
-            }
-        }
-        
-        // Aadhar filter
-        if (filters.aadhar) {
-            if (!response.aadhar.includes(filters.aadhar.replace(/\D/g, ''))) {
-                return false;
-            }
-        }
-        
-        return true;
-    });
-}
-
-// Helper function to sort responses
-function sortResponses(responses, sortBy = 'timestamp', sortOrder = 'desc') {
-    return [...responses].sort((a, b) => {
-        let aValue, bValue;
-        
-        switch (sortBy) {
-            case 'name':
-                aValue = a.name.toLowerCase();
-                bValue = b.name.toLowerCase();
-                break;
-            case 'dob':
-                aValue = new Date(a.dob);
-                bValue = new Date(b.dob);
-                break;
-            case 'mobile':
-                aValue = a.mobile;
-                bValue = b.mobile;
-                break;
-            case 'timestamp':
-            default:
-                aValue = new Date(a.timestamp);
-                bValue = new Date(b.timestamp);
-                break;
-        }
-        
-        if (sortOrder === 'asc') {
-            return aValue > bValue ? 1 : -1;
-        } else {
-            return aValue < bValue ? 1 : -1;
-        }
-    });
-}
-
 export async function onRequestGet(context) {
     const { request, env } = context;
     
     try {
-        // Check for admin session
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+        
         const url = new URL(request.url);
-        const requiresAuth = !url.searchParams.has('public');
         
-        if (requiresAuth) {
-            const sessionValid = await validateAdminSession(request, env);
-            if (!sessionValid) {
-                return new Response(
-                    JSON.stringify({
-                        success: false,
-                        error: 'Unauthorized access'
-                    }),
-                    {
-                        status: 401,
-                        headers: { 'Content-Type': 'application/json' }
-                    }
-                );
-            }
+        // Resolve the form
+        const formId = getFormId(context);
+        const form = await getForm(env.KV_RESPONSES, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
         }
         
         // Get query parameters
         const searchParams = url.searchParams;
-        const page = parseInt(searchParams.get('page') || '1');
-        const limit = Math.min(parseInt(searchParams.get('limit') || '50'), 100);
-        const sortBy = searchParams.get('sortBy') || 'timestamp';
-        const sortOrder = searchParams.get('sortOrder') || 'desc';
+        const { page, limit, sortBy, sortOrder } = normalizeResponseQuery({
+            page: searchParams.get('page'),
+            limit: searchParams.get('limit'),
+            sortBy: searchParams.get('sortBy'),
+            sortOrder: searchParams.get('sortOrder')
+        });
         
         // Get filters
         const filters = {
@@ -151,10 +63,13 @@ export async function onRequestGet(context) {
         
         // Get KV instance
         const kv = env.KV_RESPONSES;
+        const storage = getStorage(env);
         
-        // Try to get from cache first
-        const cacheKey = `cache:responses:${JSON.stringify({ page, limit, sortBy, sortOrder, filters })}`;
-        const cached = await kv.get(cacheKey, 'json');
+        // Try to get from cache first. Decrypted pages are never cached, since
+        // that would put the numbers back into KV in plain text.
+        const useCache = !storage.encrypted;
+        const cacheKey = formKey(formId, `cache:responses:${JSON.stringify({ page, limit, sortBy, sortOrder, filters })}`);
+        const cached = useCache ? await kv.get(cacheKey, 'json') : null;
         
         if (cached && (Date.now() - cached.timestamp) < CONFIG.CACHE_TTL * 1000) {
             return new Response(
@@ -164,90 +79,26 @@ export async function onRequestGet(context) {
                     headers: {
                         'Content-Type': 'application/json',
                         'X-Cache': 'HIT',
-                        'Cache-Control': 'public, max-age=5',
-                        'Access-Control-Allow-Origin': '*'
-                    }
-                }
-            );
-        }
-        
-        // Get all response IDs
-        const responsesList = await kv.get('responses:list', 'json') || [];
-        
-        // If no responses
-        if (responsesList.length === 0) {
-            const emptyResponse = {
-                success: true,
-                data: [],
-                pagination: {
-                    page: 1,
-                    limit: limit,
-                    totalItems: 0,
-                    totalPages: 0,
-                    hasNextPage: false,
-                    hasPrevPage: false
-                },
-                stats: {
-                    total: 0,
-                    today: 0
-                }
-            };
-            
-            await kv.put(cacheKey, JSON.stringify({
-                data: emptyResponse,
-                timestamp: Date.now()
-            }));
-            
-            return new Response(
-                JSON.stringify(emptyResponse),
-                {
-                    status: 200,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Cache': 'MISS',
-                        'Cache-Control': 'public, max-age=5',
+                        'Cache-Control': 'private, max-age=5',
                         'Access-Control-Allow-Origin': '*'
                     }
                 }
             );
         }
         
-        // Get individual responses (with batching for performance)
-        const responses = [];
-        const batchSize = 20;
-        
-        for (let i = 0; i < responsesList.length; i += batchSize) {
-            const batchIds = responsesList.slice(i, i + batchSize);
-            const batchPromises = batchIds.map(id => 
-                kv.get(`response:${id}`, 'json').catch(() => null)
-            );
-            
-            const batchResults = await Promise.all(batchPromises);
-            const validResponses = batchResults.filter(r => r !== null);
-            responses.push(...validResponses);
-        }
-        
-        // Filter responses
-        let filteredResponses = filterResponses(responses, filters);
-        
-        // Sort responses
-        filteredResponses = sortResponses(filteredResponses, sortBy, sortOrder);
-        
-        // Paginate
-        const paginated = paginateArray(filteredResponses, page, limit);
+        // Filter, sort and paginate in the storage backend
+        const { items, total } = await storage.queryResponses(formId, { filters, sortBy, sortOrder, page, limit });
         
         // Get statistics
-        const stats = await kv.get('stats', 'json') || {
-            total: 0,
-            today: 0
-        };
+        const stats = await storage.getStats(formId);
         
         // Prepare response
         const responseData = {
             success: true,
-            data: paginated.items,
-            pagination: paginated.pagination,
+            data: items.map(toMaskedView),
+            pagination: buildPagination(page, limit, total),
             stats: stats,
+            form: form,
             filters: filters,
             sort: {
                 by: sortBy,
@@ -256,10 +107,12 @@ export async function onRequestGet(context) {
         };
         
         // Cache the response
-        await kv.put(cacheKey, JSON.stringify({
-            data: responseData,
-            timestamp: Date.now()
-        }));
+        if (useCache) {
+            await kv.put(cacheKey, JSON.stringify({
+                data: responseData,
+                timestamp: Date.now()
+            }));
+        }
         
         return new Response(
             JSON.stringify(responseData),
@@ -268,7 +121,7 @@ export async function onRequestGet(context) {
                 headers: {
                     'Content-Type': 'application/json',
                     'X-Cache': 'MISS',
-                    'Cache-Control': 'public, max-age=5',
+                    'Cache-Control': 'private, max-age=5',
                     'Access-Control-Allow-Origin': '*'
                 }
             }
@@ -294,37 +147,6 @@ export async function onRequestGet(context) {
     }
 }
 
-// Validate admin session
-async function validateAdminSession(request, env) {
-    try {
-        const cookieHeader = request.headers.get('Cookie');
-        if (!cookieHeader) return false;
-        
-        const cookies = Object.fromEntries(
-            cookieHeader.split('; ').map(c => c.split('='))
-        );
-        
-        const sessionId = cookies.admin_session;
-        if (!sessionId) return false;
-        
-        const sessionData = await env.KV_RESPONSES.get(`session:${sessionId}`, 'json');
-        
-        if (!sessionData || !sessionData.loggedIn) return false;
-        
-        // Check if session expired
-        if (Date.now() - sessionData.timestamp > 24 * 60 * 60 * 1000) {
-            await env.KV_RESPONSES.delete(`session:${sessionId}`);
-            return false;
-        }
-        
-        return true;
-        
-    } catch (error) {
-        console.error('Session validation error:', error);
-        return false;
-    }
-}
-
 // Handle CORS preflight requests
 export async function onRequestOptions(context) {
     return new Response(null, {
@@ -0,0 +1,83 @@
+import { validateAdminSession, unauthorizedResponse } from '../../../../_lib/auth.js';
+import { ATTACHMENT_SLOTS, attachmentKey } from '../../../../_lib/attachments.js';
+import { getStorage } from '../../../../_lib/storage.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+function notFoundResponse() {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: 'Attachment not found'
+        }),
+        {
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+}
+
+// Stream an uploaded file to an admin (?download=1 saves instead of previewing)
+export async function onRequestGet(context) {
+    const { request, env, params } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        if (!ATTACHMENT_SLOTS[params.slot] || !env.R2_ATTACHMENTS) {
+            return notFoundResponse();
+        }
+
+        const record = await getStorage(env).getResponse(params.id);
+        if (!record || !record.attachments || !record.attachments[params.slot]) {
+            return notFoundResponse();
+        }
+
+        const object = await env.R2_ATTACHMENTS.get(attachmentKey(params.id, params.slot));
+        if (!object) {
+            return notFoundResponse();
+        }
+
+        const info = record.attachments[params.slot];
+        const download = new URL(request.url).searchParams.has('download');
+        const extension = info.contentType === 'application/pdf' ? 'pdf' : info.contentType.split('/')[1];
+        const filename = `${params.id}_${params.slot}.${extension}`;
+
+        return new Response(object.body, {
+            status: 200,
+            headers: {
+                'Content-Type': info.contentType,
+                'Content-Length': String(object.size),
+                'Content-Disposition': `${download ? 'attachment' : 'inline'}; filename="${filename}"`,
+                'X-Content-Type-Options': 'nosniff',
+                'Content-Security-Policy': "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'",
+                'Cache-Control': 'private, no-store'
+            }
+        });
+
+    } catch (error) {
+        console.error('Get attachment error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch attachment',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
@@ -0,0 +1,180 @@
+import { validateAdminSession, unauthorizedResponse } from '../../../_lib/auth.js';
+import { deleteResponse } from '../../../_lib/responses.js';
+import { getStorage } from '../../../_lib/storage.js';
+import { dispatchEvent } from '../../../_lib/webhooks.js';
+import { REVIEW_STATUSES, isValidReviewStatus, getReviewStatus } from '../../../_lib/review.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Permanently remove a response (admin only)
+export async function onRequestDelete(context) {
+    const { request, env, params } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        const storage = getStorage(env);
+        const record = await storage.getResponse(params.id);
+        if (!record) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Response not found'
+                }),
+                {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        await deleteResponse(storage, env.R2_ATTACHMENTS, record);
+        await dispatchEvent(context, 'registration.deleted', record);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Response deleted'
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Delete response error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to delete response',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Set the review status of a response (admin only)
+export async function onRequestPatch(context) {
+    const { request, env, params } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            body = null;
+        }
+
+        if (!body || !isValidReviewStatus(body.reviewStatus)) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `reviewStatus must be one of: ${Object.keys(REVIEW_STATUSES).join(', ')}`
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const storage = getStorage(env);
+        const record = await storage.getResponse(params.id);
+        if (!record) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Response not found'
+                }),
+                {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        // Setting the same status again changes nothing
+        if (getReviewStatus(record) !== body.reviewStatus) {
+            const updated = {
+                ...record,
+                reviewStatus: body.reviewStatus,
+                reviewedAt: new Date().toISOString()
+            };
+
+            await storage.replaceResponse(record, updated, 'admin-review');
+            await dispatchEvent(context, 'registration.reviewed', updated);
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Review status updated',
+                data: { id: record.id, reviewStatus: body.reviewStatus }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Update review status error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to update review status',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'PATCH, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
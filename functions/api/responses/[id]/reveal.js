@@ -0,0 +1,127 @@
+import { getAdminSession, unauthorizedResponse } from '../../../_lib/auth.js';
+import { sha256Hex } from '../../../_lib/edit-token.js';
+import { MASKED_FIELDS } from '../../../_lib/responses.js';
+import { getStorage } from '../../../_lib/storage.js';
+
+// Configuration
+const CONFIG = {
+    AUDIT_TTL: 365 * 24 * 60 * 60, // keep reveal audit entries for a year
+    DEBUG_MODE: false
+};
+
+// Full Aadhar/mobile of one response, which /api/responses only returns
+// masked (admin only). Every reveal is written to the security log as a
+// `pii_reveal` entry naming the admin session, the record and the fields.
+//
+// Body (optional): { "fields": ["aadhar"] }, all masked fields by default
+export async function onRequestPost(context) {
+    const { request, env, params } = context;
+
+    try {
+        // Check admin session
+        const session = await getAdminSession(request, env);
+        if (!session) {
+            return unauthorizedResponse();
+        }
+
+        let body = {};
+        try {
+            body = await request.json();
+        } catch (e) {
+            // An empty body reveals every masked field
+        }
+
+        const fields = body.fields === undefined ? MASKED_FIELDS : body.fields;
+        if (!Array.isArray(fields) || fields.length === 0 || fields.some(field => !MASKED_FIELDS.includes(field))) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `fields must be a list drawn from: ${MASKED_FIELDS.join(', ')}`
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const storage = getStorage(env);
+        const record = await storage.getResponse(params.id);
+        if (!record) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Response not found'
+                }),
+                {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        // Audit before anything is returned; a failed write refuses the reveal
+        const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+        await storage.logSecurityEvent('pii_reveal', {
+            timestamp: new Date().toISOString(),
+            responseId: record.id,
+            formId: record.formId,
+            fields: fields,
+            session: (await sha256Hex(session.id)).substring(0, 16),
+            sessionStartedAt: new Date(session.timestamp).toISOString(),
+            ip: clientIP,
+            userAgent: request.headers.get('User-Agent') || 'unknown'
+        }, CONFIG.AUDIT_TTL);
+
+        const revealed = { id: record.id };
+        fields.forEach(field => {
+            revealed[field] = record[field] || null;
+        });
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: revealed
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Reveal error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to reveal response details',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
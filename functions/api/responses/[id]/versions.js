@@ -0,0 +1,87 @@
+import { validateAdminSession, unauthorizedResponse } from '../../../_lib/auth.js';
+import { toMaskedView } from '../../../_lib/responses.js';
+import { getStorage } from '../../../_lib/storage.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Earlier versions of a response, oldest first, masked like /api/responses (admin only)
+export async function onRequestGet(context) {
+    const { request, env, params } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        const storage = getStorage(env);
+        const record = await storage.getResponse(params.id);
+        if (!record) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Response not found'
+                }),
+                {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const versions = (await storage.getResponseVersions(params.id))
+            .map(version => ({ ...version, data: toMaskedView(version.data) }));
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: versions,
+                updateCount: record.updateCount || 0,
+                updatedAt: record.updatedAt || null
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Get versions error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch response history',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
@@ -0,0 +1,84 @@
+import { getStorage } from '../../_lib/storage.js';
+import {
+    getRightsSession, rightsSessionResponse, hasFullAccess, toPrincipalView, listRightsRequests
+} from '../../_lib/rights.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Everything held about the verified registrations, for the student or
+// parent to download (X-Rights-Token from /api/rights/session). Aadhar and
+// mobile are masked unless the session was verified by mobile OTP; `masked`
+// says which.
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    try {
+        const kv = env.KV_RESPONSES;
+        const session = await getRightsSession(request, kv);
+        if (!session) {
+            return rightsSessionResponse();
+        }
+
+        const storage = getStorage(env);
+        const registrations = [];
+        for (const id of session.responseIds) {
+            const record = await storage.getResponse(id);
+            if (record) registrations.push(toPrincipalView(record, session));
+        }
+
+        const requests = await listRightsRequests(kv, { responseIds: session.responseIds });
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: {
+                    exportedAt: new Date().toISOString(),
+                    masked: !hasFullAccess(session),
+                    registrations: registrations,
+                    requests: requests
+                }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Rights data error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch your data',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, X-Rights-Token',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
@@ -0,0 +1,259 @@
+import { getAdminSession, unauthorizedResponse } from '../../../_lib/auth.js';
+import { sha256Hex } from '../../../_lib/edit-token.js';
+import { getFormSchema } from '../../../_lib/form-schema.js';
+import { DEFAULT_FORM_ID } from '../../../_lib/forms.js';
+import { validationErrorResponse } from '../../../_lib/validation.js';
+import { MASKED_FIELDS, maskValue, deleteResponse } from '../../../_lib/responses.js';
+import { getStorage } from '../../../_lib/storage.js';
+import { dispatchEvent, deleteDeliveries } from '../../../_lib/webhooks.js';
+import { deleteDraftsOf } from '../../../_lib/drafts.js';
+import {
+    RIGHTS_CONFIG, getRightsRequest, validateCorrection, resolveRightsRequest, redactRightsRequests
+} from '../../../_lib/rights.js';
+
+// Configuration
+const CONFIG = {
+    AUDIT_TTL: 365 * 24 * 60 * 60, // keep rights decisions in the security log for a year
+    DEBUG_MODE: false
+};
+
+function errorResponse(status, error) {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: error
+        }),
+        {
+            status: status,
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+}
+
+// Current values of the fields a correction changes, masked like the listing
+function currentValues(record, changes) {
+    const current = {};
+    Object.keys(changes || {}).forEach(field => {
+        const value = record[field] === undefined ? null : record[field];
+        current[field] = MASKED_FIELDS.includes(field) ? maskValue(field, value) : value;
+    });
+    return current;
+}
+
+// Apply an approved correction; returns an error response, or null once done
+async function applyCorrection(context, storage, record, changes) {
+    const schema = await getFormSchema(context.env.KV_RESPONSES, record.formId || DEFAULT_FORM_ID);
+
+    // The registration may have changed since the request was raised
+    const result = validateCorrection(schema, record, changes);
+    if (result.errors) {
+        return validationErrorResponse(result.errors);
+    }
+
+    const updated = {
+        ...record,
+        ...result.changes,
+        updatedAt: new Date().toISOString(),
+        updateCount: (record.updateCount || 0) + 1
+    };
+    Object.keys(result.changes).forEach(field => {
+        if (result.changes[field] === null) delete updated[field];
+    });
+
+    const duplicate = await storage.findDuplicate(
+        updated.formId || DEFAULT_FORM_ID, updated, [record.id, record.duplicateOf].filter(Boolean)
+    );
+    if (duplicate) {
+        return errorResponse(409, `Another registration already uses this ${duplicate.matchedOn.join(' and ')}`);
+    }
+
+    await storage.replaceResponse(record, updated, 'rights-correction');
+    await dispatchEvent(context, 'registration.updated', updated);
+    return null;
+}
+
+// One request with the registration's current values (admin only)
+export async function onRequestGet(context) {
+    const { request, env, params } = context;
+
+    try {
+        // Check admin session
+        const session = await getAdminSession(request, env);
+        if (!session) {
+            return unauthorizedResponse();
+        }
+
+        const rightsRequest = await getRightsRequest(env.KV_RESPONSES, params.id);
+        if (!rightsRequest) {
+            return errorResponse(404, 'Request not found');
+        }
+
+        const record = await getStorage(env).getResponse(rightsRequest.responseId);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: {
+                    ...rightsRequest,
+                    registrationExists: !!record,
+                    current: record ? currentValues(record, rightsRequest.changes) : null
+                }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Get rights request error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch the request',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Approve or reject a request (admin only).
+// Body: { "status": "approved" | "rejected", "note"? }
+//
+// Approving a correction applies it with the same validation and duplicate
+// check as a student edit; approving an erasure deletes the registration
+// for good, with its stored webhook deliveries and any drafts still holding
+// its details. Every decision is written to the security log as `rights_request`.
+export async function onRequestPatch(context) {
+    const { request, env, params } = context;
+
+    try {
+        // Check admin session
+        const session = await getAdminSession(request, env);
+        if (!session) {
+            return unauthorizedResponse();
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            body = null;
+        }
+
+        if (!body || !['approved', 'rejected'].includes(body.status)) {
+            return errorResponse(400, 'status must be one of: approved, rejected');
+        }
+
+        const note = typeof body.note === 'string' ? body.note.trim() : '';
+        if (note.length > RIGHTS_CONFIG.MAX_NOTE_LENGTH) {
+            return errorResponse(400, `note must be at most ${RIGHTS_CONFIG.MAX_NOTE_LENGTH} characters`);
+        }
+
+        const kv = env.KV_RESPONSES;
+        const rightsRequest = await getRightsRequest(kv, params.id);
+        if (!rightsRequest) {
+            return errorResponse(404, 'Request not found');
+        }
+        if (rightsRequest.status !== 'pending') {
+            return errorResponse(409, `This request was already ${rightsRequest.status}`);
+        }
+
+        const storage = getStorage(env);
+        const record = await storage.getResponse(rightsRequest.responseId);
+
+        if (body.status === 'approved') {
+            if (!record) {
+                return errorResponse(409, 'The registration no longer exists; reject the request instead');
+            }
+
+            if (rightsRequest.type === 'correction') {
+                const failed = await applyCorrection(context, storage, record, rightsRequest.changes);
+                if (failed) return failed;
+            } else {
+                await deleteResponse(storage, env.R2_ATTACHMENTS, record);
+                await deleteDeliveries(env.KV_RESPONSES, record.id);
+                await deleteDraftsOf(env, record);
+                await dispatchEvent(context, 'registration.deleted', record);
+            }
+        }
+
+        // Audit the decision; the entry names the request, never the student
+        const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown';
+        await storage.logSecurityEvent('rights_request', {
+            timestamp: new Date().toISOString(),
+            requestId: rightsRequest.id,
+            responseId: rightsRequest.responseId,
+            formId: rightsRequest.formId,
+            type: rightsRequest.type,
+            status: body.status,
+            session: (await sha256Hex(session.id)).substring(0, 16),
+            ip: clientIP,
+            userAgent: request.headers.get('User-Agent') || 'unknown'
+        }, CONFIG.AUDIT_TTL);
+
+        let resolved = await resolveRightsRequest(kv, rightsRequest, body.status, note);
+        if (body.status === 'approved' && rightsRequest.type === 'erasure') {
+            await redactRightsRequests(kv, rightsRequest.responseId);
+            resolved = await getRightsRequest(kv, rightsRequest.id);
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: body.status === 'approved' ? 'Request approved' : 'Request rejected',
+                data: resolved
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Resolve rights request error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to update the request',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, PATCH, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
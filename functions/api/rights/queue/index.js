@@ -0,0 +1,89 @@
+import { validateAdminSession, unauthorizedResponse } from '../../../_lib/auth.js';
+import { RIGHTS_REQUEST_STATUSES, listRightsRequestPage } from '../../../_lib/rights.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Correction and erasure requests, newest first (admin only), a page at a
+// time: pass the returned `cursor` back as ?cursor= for the next page.
+// ?status=pending|approved|rejected narrows the list.
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        const { searchParams } = new URL(request.url);
+        const status = searchParams.get('status');
+        if (status && !Object.prototype.hasOwnProperty.call(RIGHTS_REQUEST_STATUSES, status)) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: `status must be one of: ${Object.keys(RIGHTS_REQUEST_STATUSES).join(', ')}`
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const page = await listRightsRequestPage(env.KV_RESPONSES, {
+            status: status || undefined,
+            cursor: searchParams.get('cursor')
+        });
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: page.requests,
+                cursor: page.cursor
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('List rights queue error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch rights requests',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
@@ -0,0 +1,196 @@
+import { getFormSchema } from '../../_lib/form-schema.js';
+import { DEFAULT_FORM_ID } from '../../_lib/forms.js';
+import { validationErrorResponse } from '../../_lib/validation.js';
+import { getStorage } from '../../_lib/storage.js';
+import {
+    RIGHTS_CONFIG, RIGHTS_REQUEST_TYPES, getRightsSession, rightsSessionResponse,
+    validateCorrection, createRightsRequest, listRightsRequests
+} from '../../_lib/rights.js';
+
+// Correction and erasure requests of a verified student or parent
+// (X-Rights-Token from /api/rights/session). Requests wait for an admin in
+// the queue (/api/rights/queue); only one of each type may be pending per
+// registration.
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+function errorResponse(status, error) {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: error
+        }),
+        {
+            status: status,
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store'
+            }
+        }
+    );
+}
+
+// The requester's own requests, newest first
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    try {
+        const kv = env.KV_RESPONSES;
+        const session = await getRightsSession(request, kv);
+        if (!session) {
+            return rightsSessionResponse();
+        }
+
+        const requests = await listRightsRequests(kv, { responseIds: session.responseIds });
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: requests
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('List rights requests error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch your requests',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Raise a request.
+// Body: { "responseId", "type": "correction" | "erasure", "note"?, "changes"? }
+// where `changes` holds the corrected values of schema fields.
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    try {
+        const kv = env.KV_RESPONSES;
+        const session = await getRightsSession(request, kv);
+        if (!session) {
+            return rightsSessionResponse();
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (error) {
+            return errorResponse(400, 'Invalid JSON data');
+        }
+
+        if (!body || !session.responseIds.includes(body.responseId)) {
+            return errorResponse(404, 'Registration not found');
+        }
+        if (!Object.prototype.hasOwnProperty.call(RIGHTS_REQUEST_TYPES, body.type)) {
+            return errorResponse(400, `type must be one of: ${Object.keys(RIGHTS_REQUEST_TYPES).join(', ')}`);
+        }
+
+        const note = typeof body.note === 'string' ? body.note.trim() : '';
+        if (note.length > RIGHTS_CONFIG.MAX_NOTE_LENGTH) {
+            return errorResponse(400, `note must be at most ${RIGHTS_CONFIG.MAX_NOTE_LENGTH} characters`);
+        }
+
+        const storage = getStorage(env);
+        const record = await storage.getResponse(body.responseId);
+        if (!record) {
+            return errorResponse(404, 'Registration not found');
+        }
+
+        const pending = await listRightsRequests(kv, { status: 'pending', responseIds: [record.id] });
+        if (pending.some(summary => summary.type === body.type)) {
+            return errorResponse(409, 'A request of this type is already awaiting review');
+        }
+
+        let changes;
+        if (body.type === 'correction') {
+            if (!body.changes || typeof body.changes !== 'object' || Array.isArray(body.changes)) {
+                return errorResponse(400, 'changes must list the corrected values');
+            }
+
+            const schema = await getFormSchema(kv, record.formId || DEFAULT_FORM_ID);
+            const result = validateCorrection(schema, record, body.changes);
+            if (result.errors) {
+                return validationErrorResponse(result.errors);
+            }
+            if (Object.keys(result.changes).length === 0) {
+                return errorResponse(400, 'The corrected values are the same as the registration');
+            }
+            changes = result.changes;
+        }
+
+        const created = await createRightsRequest(kv, {
+            record: record,
+            type: body.type,
+            changes: changes,
+            note: note
+        });
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Request received',
+                data: created
+            }),
+            {
+                status: 201,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Create rights request error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to submit your request',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, X-Rights-Token',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
@@ -0,0 +1,187 @@
+import { getFormId, getForm, DEFAULT_FORM_ID } from '../../_lib/forms.js';
+import { getStorage } from '../../_lib/storage.js';
+import { validateIndianMobile, validateDOB } from '../../_lib/validation.js';
+import { isMobileVerified, consumeVerification } from '../../_lib/otp.js';
+import { checkRateLimit, rateLimitedResponse, withRateLimitHeaders } from '../../_lib/rate-limit.js';
+import { REVIEW_STATUSES, getReviewStatus } from '../../_lib/review.js';
+import { createRightsSession } from '../../_lib/rights.js';
+
+// Verify a student or parent for the rights portal (see _lib/rights.js).
+//
+// Body: { "mobile", "mobileVerificationToken" } from /api/otp/verify, which
+// covers every registration with that number on the form, or
+// { "responseId", "dob" }, which covers that one registration. ID lookups
+// share their per-ID budget with /api/status and every failure gets the same
+// answer, so neither endpoint helps anyone guess a birth date.
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+const RESPONSE_ID_PATTERN = /^resp_[a-z0-9]+_[a-z0-9]+$/;
+
+function errorResponse(status, error) {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: error
+        }),
+        {
+            status: status,
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store'
+            }
+        }
+    );
+}
+
+// Every registration on the form with this mobile, first one first
+async function findByMobile(storage, formId, mobile) {
+    const { items } = await storage.queryResponses(formId, {
+        filters: { mobile: mobile },
+        sortBy: 'timestamp',
+        sortOrder: 'asc',
+        limit: 100
+    });
+    return items.filter(record => record.mobile === mobile);
+}
+
+// What the portal lists for each registration
+function toSummary(record, form) {
+    const reviewStatus = getReviewStatus(record);
+
+    return {
+        id: record.id,
+        form: form ? form.title : null,
+        name: record.name || null,
+        submittedAt: record.timestamp,
+        reviewStatus: reviewStatus,
+        reviewLabel: REVIEW_STATUSES[reviewStatus]
+    };
+}
+
+// Verify and start a rights portal session
+export async function onRequestPost(context) {
+    const rateLimit = await checkRateLimit(context, 'rights');
+    if (!rateLimit.allowed) {
+        return rateLimitedResponse(rateLimit, 'Too many attempts. Please try again later.');
+    }
+
+    return withRateLimitHeaders(await handleVerify(context), rateLimit);
+}
+
+async function handleVerify(context) {
+    const { request, env } = context;
+
+    try {
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            body = {};
+        }
+
+        const kv = env.KV_RESPONSES;
+        const storage = getStorage(env);
+        const formId = getFormId(context);
+
+        const responseId = typeof body.responseId === 'string' ? body.responseId.trim() : '';
+        const mobile = typeof body.mobile === 'string' ? body.mobile.replace(/\D/g, '') : '';
+        const dob = typeof body.dob === 'string' ? body.dob.trim() : '';
+
+        let records;
+        let verifiedBy;
+
+        if (mobile) {
+            if (!validateIndianMobile(mobile)) {
+                return errorResponse(400, 'Invalid Indian mobile number');
+            }
+            if (!await isMobileVerified(kv, body.mobileVerificationToken, mobile)) {
+                return errorResponse(403, 'Please verify your mobile number with the OTP first');
+            }
+
+            records = await findByMobile(storage, formId, mobile);
+            await consumeVerification(kv, body.mobileVerificationToken);
+            verifiedBy = 'mobile_otp';
+        } else if (responseId && validateDOB(dob)) {
+            const subjectLimit = await checkRateLimit(context, 'status_subject', `id:${responseId}`);
+            if (!subjectLimit.allowed) {
+                return rateLimitedResponse(subjectLimit, 'Too many attempts for these details. Please try again later.');
+            }
+
+            const record = RESPONSE_ID_PATTERN.test(responseId) ? await storage.getResponse(responseId) : null;
+            // Only a registration on this form, like the mobile lookup
+            records = record && (record.formId || DEFAULT_FORM_ID) === formId && record.dob === dob ? [record] : [];
+            verifiedBy = 'response_id_dob';
+        } else {
+            return errorResponse(400, 'Verify your mobile number, or enter your response ID and date of birth');
+        }
+
+        if (records.length === 0) {
+            return errorResponse(404, 'No registration matches these details');
+        }
+
+        const session = await createRightsSession(kv, {
+            formId: formId,
+            responseIds: records.map(record => record.id),
+            verifiedBy: verifiedBy
+        });
+
+        const forms = {};
+        for (const record of records) {
+            const id = record.formId || DEFAULT_FORM_ID;
+            if (!(id in forms)) forms[id] = await getForm(kv, id);
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: {
+                    token: session.token,
+                    expiresAt: session.expiresAt,
+                    registrations: records.map(record => toSummary(record, forms[record.formId || DEFAULT_FORM_ID]))
+                }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Rights verification error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to verify your details',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
@@ -0,0 +1,226 @@
+import { validateAdminSession, unauthorizedResponse } from '../_lib/auth.js';
+import { formKey, getForm, getFormId, formNotFoundResponse } from '../_lib/forms.js';
+import { DEFAULT_SCHEMA, getFormSchema, validateSchemaDefinition } from '../_lib/form-schema.js';
+import { getFormSettings } from '../_lib/settings.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Public: the student form renders itself from this
+export async function onRequestGet(context) {
+    const { env } = context;
+
+    try {
+        // Resolve the form
+        const formId = getFormId(context);
+        const form = await getForm(env.KV_RESPONSES, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
+        }
+
+        const schema = await getFormSchema(env.KV_RESPONSES, formId);
+        const settings = await getFormSettings(env.KV_RESPONSES, formId);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: schema,
+                form: form,
+                // Extra steps the form must walk the student through
+                requirements: {
+                    mobileOtp: settings.mobileVerification === 'required'
+                }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'public, max-age=60',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Get schema error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch form schema',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Admin: replace the form schema
+export async function onRequestPut(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        // Resolve the form
+        const formId = getFormId(context);
+        const form = await getForm(env.KV_RESPONSES, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
+        }
+
+        // Parse request body
+        let schema;
+        try {
+            schema = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Invalid JSON data'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const validationErrors = validateSchemaDefinition(schema);
+
+        if (validationErrors.length > 0) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    errors: validationErrors
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const kv = env.KV_RESPONSES;
+        const current = await getFormSchema(kv, formId);
+
+        const stored = {
+            version: (current.version || 1) + 1,
+            fields: schema.fields,
+            ageRule: schema.ageRule || undefined,
+            updatedAt: new Date().toISOString()
+        };
+
+        await kv.put(formKey(formId, 'schema'), JSON.stringify(stored));
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Form schema updated',
+                data: stored
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Update schema error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to update form schema',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Admin: reset to the built-in schema
+export async function onRequestDelete(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        // Resolve the form
+        const formId = getFormId(context);
+        const form = await getForm(env.KV_RESPONSES, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
+        }
+
+        await env.KV_RESPONSES.delete(formKey(formId, 'schema'));
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Form schema reset to default',
+                data: DEFAULT_SCHEMA
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Reset schema error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to reset form schema'
+            }),
+            {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
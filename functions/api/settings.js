@@ -0,0 +1,171 @@
+import { validateAdminSession, unauthorizedResponse } from '../_lib/auth.js';
+import { getForm, getFormId, formNotFoundResponse } from '../_lib/forms.js';
+import { SETTING_OPTIONS, NUMERIC_SETTINGS, getFormSettings, validateSettingsUpdate, saveFormSettings } from '../_lib/settings.js';
+import { canDeliverSms } from '../_lib/sms.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        // Resolve the form
+        const formId = getFormId(context);
+        const form = await getForm(env.KV_RESPONSES, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
+        }
+
+        const settings = await getFormSettings(env.KV_RESPONSES, formId);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: settings,
+                options: SETTING_OPTIONS,
+                ranges: NUMERIC_SETTINGS
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Get settings error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch settings',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+export async function onRequestPut(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        // Resolve the form
+        const formId = getFormId(context);
+        const form = await getForm(env.KV_RESPONSES, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
+        }
+
+        // Parse request body
+        let updates;
+        try {
+            updates = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Invalid JSON data'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        // Validate each known setting, ignore anything else
+        const current = await getFormSettings(env.KV_RESPONSES, formId);
+        const { accepted, errors: validationErrors } = validateSettingsUpdate(updates, current);
+
+        // Requiring an OTP nobody can receive would block every submission
+        if (accepted.mobileVerification === 'required' && !canDeliverSms(env)) {
+            validationErrors.push('mobileVerification can only be required once SMS_PROVIDER is http with SMS_API_URL set');
+        }
+
+        if (validationErrors.length > 0) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    errors: validationErrors
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const settings = await saveFormSettings(env.KV_RESPONSES, formId, accepted);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Settings updated',
+                data: settings
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Update settings error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to update settings',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
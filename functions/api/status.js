@@ -0,0 +1,170 @@
+import { getFormId, getForm, DEFAULT_FORM_ID } from '../_lib/forms.js';
+import { getStorage } from '../_lib/storage.js';
+import { validateIndianMobile, validateDOB } from '../_lib/validation.js';
+import { checkRateLimit, rateLimitedResponse, withRateLimitHeaders } from '../_lib/rate-limit.js';
+import { REVIEW_STATUSES, getReviewStatus } from '../_lib/review.js';
+
+// Public registration status lookup: response ID (or mobile) plus date of
+// birth. Only the submission time and review status come back, and every
+// failed lookup gets the same answer, so the endpoint cannot tell anyone
+// whether a given ID or number is registered. Limited per client and per
+// looked-up ID or mobile, which stops guessing birth dates for one student.
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+const RESPONSE_ID_PATTERN = /^resp_[a-z0-9]+_[a-z0-9]+$/;
+
+// Same response for unknown IDs, unknown numbers and wrong birth dates
+function notFoundResponse() {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: 'No registration matches these details'
+        }),
+        {
+            status: 404,
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store'
+            }
+        }
+    );
+}
+
+// Record for the submitted details, null unless the birth date matches
+async function findRegistration(storage, formId, { responseId, mobile, dob }) {
+    let record = null;
+
+    if (responseId) {
+        if (!RESPONSE_ID_PATTERN.test(responseId)) return null;
+        record = await storage.getResponse(responseId);
+    } else {
+        if (!validateIndianMobile(mobile)) return null;
+        // The first registration with this number, which later ones are duplicates of
+        const match = await storage.findDuplicate(formId, { mobile });
+        record = match && match.matchedOn.includes('mobile') ? await storage.getResponse(match.id) : null;
+    }
+
+    // Only registrations on the form this lookup is for, whichever way they were found
+    if (record && (record.formId || DEFAULT_FORM_ID) !== formId) return null;
+
+    return record && record.dob === dob ? record : null;
+}
+
+// What a status lookup shows, nothing else from the record
+function toStatusView(record, form) {
+    const reviewStatus = getReviewStatus(record);
+
+    return {
+        id: record.id,
+        form: form ? form.title : null,
+        submittedAt: record.timestamp,
+        updatedAt: record.updatedAt || null,
+        reviewStatus: reviewStatus,
+        reviewLabel: REVIEW_STATUSES[reviewStatus],
+        reviewedAt: record.reviewedAt || null
+    };
+}
+
+// Look up the status of a registration
+export async function onRequestPost(context) {
+    const rateLimit = await checkRateLimit(context, 'status');
+    if (!rateLimit.allowed) {
+        return rateLimitedResponse(rateLimit, 'Too many lookups. Please try again later.');
+    }
+
+    return withRateLimitHeaders(await handleLookup(context), rateLimit);
+}
+
+async function handleLookup(context) {
+    const { request, env } = context;
+
+    try {
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            body = {};
+        }
+
+        const responseId = typeof body.responseId === 'string' ? body.responseId.trim() : '';
+        const mobile = typeof body.mobile === 'string' ? body.mobile.replace(/\D/g, '') : '';
+        const dob = typeof body.dob === 'string' ? body.dob.trim() : '';
+
+        if ((!responseId && !mobile) || !validateDOB(dob)) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Enter your response ID or mobile number, and your date of birth'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const formId = getFormId(context);
+        const subject = responseId ? `id:${responseId}` : `mobile:${formId}:${mobile}`;
+        const subjectLimit = await checkRateLimit(context, 'status_subject', subject);
+        if (!subjectLimit.allowed) {
+            return rateLimitedResponse(subjectLimit, 'Too many lookups for these details. Please try again later.');
+        }
+
+        const storage = getStorage(env);
+        const record = await findRegistration(storage, formId, { responseId, mobile, dob });
+        if (!record) {
+            return notFoundResponse();
+        }
+
+        const form = await getForm(env.KV_RESPONSES, record.formId || DEFAULT_FORM_ID);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: toStatusView(record, form)
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Status lookup error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to look up registration status',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
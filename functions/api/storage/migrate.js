@@ -0,0 +1,92 @@
+import { validateAdminSession, unauthorizedResponse } from '../../_lib/auth.js';
+import { createD1Storage } from '../../_lib/storage-d1.js';
+
+// Configuration
+const CONFIG = {
+    BATCH_SIZE: 100, // records per call, well inside the subrequest limit
+    DEBUG_MODE: false
+};
+
+// One-shot copy of KV `response:*` records (and their versions) into D1.
+// Call repeatedly with the returned cursor until `done`; records already in
+// D1 are left alone, so an interrupted run can simply be started again.
+// Switch STORAGE_BACKEND to d1 once it has finished.
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        if (!env.DB) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'No D1 database is bound as DB'
+                }),
+                {
+                    status: 503,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const kv = env.KV_RESPONSES;
+        const target = createD1Storage(env.DB);
+        const cursor = new URL(request.url).searchParams.get('cursor') || undefined;
+
+        const page = await kv.list({ prefix: 'response:', limit: CONFIG.BATCH_SIZE, cursor });
+        const statements = [];
+        let processed = 0;
+
+        for (const key of page.keys) {
+            const record = await kv.get(key.name, 'json');
+            if (!record) continue;
+
+            const versions = await kv.get(`versions:${record.id}`, 'json') || [];
+            statements.push(target.importResponse(record), ...target.importVersions(record.id, versions));
+            processed++;
+        }
+
+        await target.runBatch(statements);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: {
+                    processed: processed,
+                    cursor: page.list_complete ? null : page.cursor,
+                    done: page.list_complete
+                }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Storage migration error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to migrate responses',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
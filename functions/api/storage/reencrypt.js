@@ -0,0 +1,79 @@
+import { validateAdminSession, unauthorizedResponse } from '../../_lib/auth.js';
+import { getStorage } from '../../_lib/storage.js';
+
+// Configuration
+const CONFIG = {
+    BATCH_SIZE: 50, // records per call, each may rewrite its versions too
+    DEBUG_MODE: false
+};
+
+// Re-encrypt stored responses with the newest FIELD_ENCRYPTION_KEYS version
+// and the current ENCRYPTED_FIELDS, including records stored in plain text
+// before encryption was switched on. Call repeatedly with the returned cursor
+// until `done`; records that are already current are skipped, so the job can
+// be run again at any time.
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        const storage = getStorage(env);
+        if (!storage.encrypted) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Field encryption is not configured (FIELD_ENCRYPTION_KEYS)'
+                }),
+                {
+                    status: 503,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const cursor = new URL(request.url).searchParams.get('cursor') || null;
+        const result = await storage.reencryptResponses(cursor, CONFIG.BATCH_SIZE);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: {
+                    processed: result.processed,
+                    updated: result.updated,
+                    cursor: result.cursor,
+                    done: !result.cursor
+                }
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Re-encryption error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to re-encrypt responses',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
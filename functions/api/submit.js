@@ -1,132 +1,164 @@
-// Rate limiting configuration
-const RATE_LIMIT = {
-    WINDOW_MS: 15 * 60 * 1000, // 15 minutes
-    MAX_REQUESTS: 10 // Maximum requests per window
-};
+import { getForm, getFormId, formNotFoundResponse } from '../_lib/forms.js';
+import { getFormSchema } from '../_lib/form-schema.js';
+import { getFormSettings } from '../_lib/settings.js';
+import { getAvailability, windowClosedResponse } from '../_lib/availability.js';
+import { getCurrentNotice, readConsent } from '../_lib/consent.js';
+import { normalizeDraftCode, draftKey } from '../_lib/drafts.js';
+import { findMissingFields, validateAgainstSchema, validationErrorResponse, fieldError } from '../_lib/validation.js';
+import { getStorage } from '../_lib/storage.js';
+import { generateResponseId } from '../_lib/responses.js';
+import { generateEditToken } from '../_lib/edit-token.js';
+import { isMultipart, parseMultipartSubmission, validateAttachment, storeAttachments } from '../_lib/attachments.js';
+import { isMobileVerified, consumeVerification } from '../_lib/otp.js';
+import { dispatchEvent } from '../_lib/webhooks.js';
+import { checkRateLimit, rateLimitedResponse, withRateLimitHeaders } from '../_lib/rate-limit.js';
+import { verifyChallenge, consumeChallenge } from '../_lib/challenge.js';
+import { withIdempotency } from '../_lib/idempotency.js';
 
-// IP-based rate limiting store
-const rateLimitStore = {};
+const CONFIG = {
+    DEBUG_MODE: false
+};
 
-// Helper function to check rate limit
-function checkRateLimit(ip) {
-    const now = Date.now();
-    const windowStart = now - RATE_LIMIT.WINDOW_MS;
-    
-    if (!rateLimitStore[ip]) {
-        rateLimitStore[ip] = [];
-    }
+// Remove the draft a submission was resumed from
+async function discardDraft(kv, formId, code) {
+    const normalized = normalizeDraftCode(code);
+    if (!normalized) return;
     
-    // Clean old requests
-    rateLimitStore[ip] = rateLimitStore[ip].filter(time => time > windowStart);
-    
-    // Check if limit exceeded
-    if (rateLimitStore[ip].length >= RATE_LIMIT.MAX_REQUESTS) {
-        return false;
+    const draft = await kv.get(draftKey(normalized), 'json');
+    if (draft && draft.formId === formId) {
+        await kv.delete(draftKey(normalized));
     }
-    
-    // Add current request
-    rateLimitStore[ip].push(now);
-    return true;
 }
 
-// Helper function to validate Indian mobile number
-function validateIndianMobile(mobile) {
-    const cleaned = mobile.replace(/\D/g, '');
-    return /^[6-9]\d{9}$/.test(cleaned);
-}
+// Overwrite an existing registration in place (duplicate policy "update")
+async function updateExistingResponse(context, storage, existing, data, duplicate, clientIP) {
+    const { request } = context;
+    const timestamp = new Date().toISOString();
 
-// Helper function to validate Aadhar number
-function validateAadhar(aadhar) {
-    const cleaned = aadhar.replace(/\D/g, '');
-    if (cleaned.length !== 12) return false;
-    
-    // Aadhar verification algorithm (basic)
-    let sum = 0;
-    for (let i = 0; i < 11; i++) {
-        const digit = parseInt(cleaned[i]);
-        if (i % 2 === 0) {
-            sum += digit;
-        } else {
-            const doubled = digit * 2;
-            sum += doubled > 9 ? doubled - 9 : doubled;
+    const updated = {
+        ...existing,
+        ...data,
+        updatedAt: timestamp,
+        updateCount: (existing.updateCount || 0) + 1,
+        ip: clientIP,
+        userAgent: request.headers.get('User-Agent') || 'unknown'
+    };
+
+    await storage.replaceResponse(existing, updated, 'duplicate-update');
+    await dispatchEvent(context, 'registration.updated', updated);
+
+    return new Response(
+        JSON.stringify({
+            success: true,
+            message: 'Existing registration updated',
+            data: {
+                id: existing.id,
+                timestamp: existing.timestamp,
+                updatedAt: timestamp,
+                name: data.name,
+                matchedOn: duplicate.matchedOn
+            }
+        }),
+        {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store, no-cache, must-revalidate',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            }
         }
-    }
-    const checkDigit = (10 - (sum % 10)) % 10;
-    return checkDigit === parseInt(cleaned[11]);
+    );
 }
 
-// Helper function to validate date of birth
-function validateDOB(dob) {
-    const date = new Date(dob);
-    const today = new Date();
-    
-    // Check if valid date
-    if (isNaN(date.getTime())) return false;
+export async function onRequestPost(context) {
+    // Retries carrying the same Idempotency-Key get the first result back
+    return withIdempotency(context, `submit:${getFormId(context)}`, () => handleGuardedSubmission(context));
+}
+
+// Rate limit and bot checks in front of the submission itself
+async function handleGuardedSubmission(context) {
+    const rateLimit = await checkRateLimit(context, 'submit');
+    if (!rateLimit.allowed) {
+        return rateLimitedResponse(rateLimit, 'Rate limit exceeded. Please try again later.');
+    }
     
-    // Check if not in future
-    if (date > today) return false;
+    // Bot checks run before the submission is even parsed
+    let challenge;
+    try {
+        challenge = await verifyChallenge(context);
+    } catch (error) {
+        console.error('Challenge verification error:', error);
+        challenge = { passed: false, status: 503, error: 'Bot check is unavailable. Please try again later.' };
+    }
     
-    // Check if not too old (optional, e.g., 100 years)
-    const hundredYearsAgo = new Date();
-    hundredYearsAgo.setFullYear(hundredYearsAgo.getFullYear() - 100);
-    if (date < hundredYearsAgo) return false;
+    if (!challenge.passed) {
+        return withRateLimitHeaders(new Response(
+            JSON.stringify({
+                success: false,
+                error: challenge.error,
+                data: { challengeRequired: true }
+            }),
+            {
+                status: challenge.status,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        ), rateLimit);
+    }
     
-    return true;
-}
-
-// Helper function to sanitize input
-function sanitizeInput(input) {
-    if (typeof input !== 'string') return input;
+    // A ticket is spent on any attempt that passed the check, accepted or not,
+    // so one solved challenge cannot be replayed (e.g. to probe for duplicates).
+    // A server error keeps it, as the idempotent retry will present it again.
+    const response = await handleSubmission(context);
+    if (response.status < 500) {
+        await consumeChallenge(context.env.KV_RESPONSES, challenge.nonce);
+    }
     
-    return input
-        .trim()
-        .replace(/[<>]/g, '') // Remove HTML tags
-        .replace(/[&<>"'`=\/]/g, '') // Remove other dangerous characters
-        .substring(0, 255); // Limit length
-}
-
-// Generate unique response ID
-function generateResponseId() {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 9);
-    return `resp_${timestamp}_${random}`;
+    return withRateLimitHeaders(response, rateLimit);
 }
 
-export async function onRequestPost(context) {
+async function handleSubmission(context) {
     const { request, env } = context;
     
     try {
-        // Get client IP for rate limiting
+        // Resolve the form being submitted to
+        const formId = getFormId(context);
+        const form = await getForm(env.KV_RESPONSES, formId);
+        if (!form) {
+            return formNotFoundResponse(formId);
+        }
+        
+        const kv = env.KV_RESPONSES;
+        const settings = await getFormSettings(kv, formId);
+        const storage = getStorage(env);
+        
+        // Only between the form's open and close times
+        const availability = await getAvailability(storage, formId, settings);
+        if (availability.state !== 'open') {
+            return windowClosedResponse(availability);
+        }
+        
+        // Get client IP
         const clientIP = request.headers.get('CF-Connecting-IP') || 
                         request.headers.get('X-Forwarded-For') || 
                         'unknown';
         
-        // Check rate limit
-        if (!checkRateLimit(clientIP)) {
-            return new Response(
-                JSON.stringify({
-                    success: false,
-                    error: 'Rate limit exceeded. Please try again later.'
-                }),
-                {
-                    status: 429,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Retry-After': '900'
-                    }
-                }
-            );
-        }
-        
-        // Parse request body
+        // Parse request body (JSON, or multipart when files are attached)
+        const multipart = isMultipart(request);
         let formData;
+        let files = {};
         try {
-            formData = await request.json();
+            if (multipart) {
+                ({ fields: formData, files } = await parseMultipartSubmission(request));
+            } else {
+                formData = await request.json();
+            }
         } catch (error) {
             return new Response(
                 JSON.stringify({
                     success: false,
-                    error: 'Invalid JSON data'
+                    error: multipart ? 'Invalid form data' : 'Invalid JSON data'
                 }),
                 {
                     status: 400,
@@ -135,145 +167,146 @@ export async function onRequestPost(context) {
             );
         }
         
-        // Validate required fields
-        const requiredFields = ['name', 'dob', 'mobile', 'father', 'aadhar'];
-        const missingFields = requiredFields.filter(field => !formData[field]);
+        // Validate against the admin-configured form schema
+        const schema = await getFormSchema(env.KV_RESPONSES, formId);
+        const missingFields = findMissingFields(schema, formData);
         
         if (missingFields.length > 0) {
-            return new Response(
-                JSON.stringify({
-                    success: false,
-                    error: `Missing required fields: ${missingFields.join(', ')}`
-                }),
-                {
-                    status: 400,
-                    headers: { 'Content-Type': 'application/json' }
-                }
-            );
+            return validationErrorResponse(missingFields);
         }
         
-        // Sanitize inputs
-        const sanitizedData = {
-            name: sanitizeInput(formData.name),
-            dob: formData.dob, // Date doesn't need sanitization
-            mobile: formData.mobile.toString().replace(/\D/g, ''),
-            father: sanitizeInput(formData.father),
-            aadhar: formData.aadhar.toString().replace(/\D/g, '')
-        };
-        
-        // Validate individual fields
-        const validationErrors = [];
+        const { data: sanitizedData, errors: validationErrors } = validateAgainstSchema(schema, formData);
         
-        // Name validation
-        if (sanitizedData.name.length < 2) {
-            validationErrors.push('Name must be at least 2 characters long');
-        }
-        if (sanitizedData.name.length > 100) {
-            validationErrors.push('Name is too long');
+        // Size, type and content checks for uploaded files
+        for (const [slot, file] of Object.entries(files)) {
+            const error = await validateAttachment(slot, file);
+            if (error) validationErrors.push(error);
         }
         
-        // Date of birth validation
-        if (!validateDOB(sanitizedData.dob)) {
-            validationErrors.push('Invalid date of birth');
+        // The parent must consent to the current privacy notice before anything is stored
+        const { consent, error: consentError } = readConsent(formData, await getCurrentNotice(kv));
+        if (consentError) {
+            const [code, params] = consentError;
+            validationErrors.push(fieldError('consent', 'Consent', code, params));
         }
         
-        // Mobile validation
-        if (!validateIndianMobile(sanitizedData.mobile)) {
-            validationErrors.push('Invalid Indian mobile number');
+        if (validationErrors.length > 0) {
+            return validationErrorResponse(validationErrors);
         }
         
-        // Father's name validation
-        if (sanitizedData.father.length < 2) {
-            validationErrors.push("Father's name must be at least 2 characters long");
-        }
-        if (sanitizedData.father.length > 100) {
-            validationErrors.push("Father's name is too long");
-        }
+        // Kept with the record, and replaced by a duplicate update
+        sanitizedData.consent = consent;
         
-        // Aadhar validation
-        if (!validateAadhar(sanitizedData.aadhar)) {
-            validationErrors.push('Invalid Aadhar number');
+        const hasFiles = Object.keys(files).length > 0;
+        if (hasFiles && !env.R2_ATTACHMENTS) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'File uploads are not available'
+                }),
+                {
+                    status: 503,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
         }
         
-        if (validationErrors.length > 0) {
+        // The mobile must have been confirmed with an OTP (see /api/otp)
+        if (settings.mobileVerification === 'required' &&
+            !await isMobileVerified(kv, formData.mobileVerificationToken, sanitizedData.mobile)) {
             return new Response(
                 JSON.stringify({
                     success: false,
-                    errors: validationErrors
+                    error: 'Please verify your mobile number with the OTP first',
+                    data: { mobileVerificationRequired: true }
                 }),
                 {
-                    status: 400,
+                    status: 403,
                     headers: { 'Content-Type': 'application/json' }
                 }
             );
         }
-        
+
+        // Check for an existing registration with the same Aadhar or mobile
+        const duplicate = await storage.findDuplicate(formId, sanitizedData);
+
+        if (duplicate && settings.duplicatePolicy === 'reject') {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'A registration with this Aadhar or mobile number already exists',
+                    data: {
+                        existingId: duplicate.id,
+                        matchedOn: duplicate.matchedOn
+                    }
+                }),
+                {
+                    status: 409,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Cache-Control': 'no-store',
+                        'Access-Control-Allow-Origin': '*'
+                    }
+                }
+            );
+        }
+
+        if (duplicate && settings.duplicatePolicy === 'update') {
+            const existing = await storage.getResponse(duplicate.id);
+
+            if (existing) {
+                // New uploads replace the matching slots of the existing registration
+                const data = hasFiles
+                    ? { ...sanitizedData, attachments: { ...existing.attachments, ...await storeAttachments(env.R2_ATTACHMENTS, existing.id, files) } }
+                    : sanitizedData;
+                const updateResponse = await updateExistingResponse(context, storage, existing, data, duplicate, clientIP);
+                await discardDraft(kv, formId, formData.draftCode);
+                await consumeVerification(kv, formData.mobileVerificationToken);
+                return updateResponse;
+            }
+        }
+
         // Generate response data
         const responseId = generateResponseId();
         const timestamp = new Date().toISOString();
-        
+
         const responseData = {
             id: responseId,
+            formId: formId,
             ...sanitizedData,
             timestamp: timestamp,
             ip: clientIP,
             userAgent: request.headers.get('User-Agent') || 'unknown'
         };
-        
-        // Store in KV
-        const kv = env.KV_RESPONSES;
-        
-        // Store individual response
-        await kv.put(`response:${responseId}`, JSON.stringify(responseData), {
-            metadata: {
-                timestamp: timestamp,
-                ip: clientIP
-            }
-        });
-        
-        // Add to responses list
-        const responsesList = await kv.get('responses:list', 'json') || [];
-        responsesList.push(responseId);
-        await kv.put('responses:list', JSON.stringify(responsesList));
-        
-        // Add to recent responses (for quick access)
-        const recentResponses = await kv.get('responses:recent', 'json') || [];
-        recentResponses.unshift({
-            id: responseId,
-            name: sanitizedData.name,
-            timestamp: timestamp,
-            mobile: sanitizedData.mobile
-        });
-        
-        // Keep only last 50 recent responses
-        if (recentResponses.length > 50) {
-            recentResponses.length = 50;
+
+        // Past the form's capacity the registration joins the waitlist
+        if (availability.waitlist) {
+            responseData.reviewStatus = 'waitlisted';
         }
         
-        await kv.put('responses:recent', JSON.stringify(recentResponses));
-        
-        // Update statistics
-        const stats = await kv.get('stats', 'json') || {
-            total: 0,
-            today: 0,
-            lastUpdated: timestamp
-        };
+        // Flag (but keep) repeat registrations
+        if (duplicate) {
+            responseData.duplicateOf = duplicate.id;
+            responseData.duplicateMatchedOn = duplicate.matchedOn;
+        }
         
-        stats.total++;
+        if (hasFiles) {
+            responseData.attachments = await storeAttachments(env.R2_ATTACHMENTS, responseId, files);
+        }
         
-        // Check if today's first submission
-        const today = new Date().toISOString().split('T')[0];
-        const lastSubmission = await kv.get('last_submission_date');
+        // Secret token so the student can correct the registration later
+        const editToken = await generateEditToken(responseId);
+        responseData.editTokenHash = editToken.hash;
+
+        // Store and list it (a flagged duplicate leaves the original's lookups alone)
+        await storage.createResponse(responseData);
         
-        if (lastSubmission !== today) {
-            stats.today = 1;
-            await kv.put('last_submission_date', today);
-        } else {
-            stats.today++;
-        }
+        // The draft this was resumed from is no longer needed
+        await discardDraft(kv, formId, formData.draftCode);
+        await consumeVerification(kv, formData.mobileVerificationToken);
         
-        stats.lastUpdated = timestamp;
-        await kv.put('stats', JSON.stringify(stats));
+        // Tell subscribed systems
+        await dispatchEvent(context, 'registration.created', responseData);
         
         // Send success response
         return new Response(
@@ -282,8 +315,12 @@ export async function onRequestPost(context) {
                 message: 'Form submitted successfully',
                 data: {
                     id: responseId,
+                    formId: formId,
                     timestamp: timestamp,
-                    name: sanitizedData.name
+                    name: sanitizedData.name,
+                    duplicateOf: responseData.duplicateOf,
+                    waitlisted: availability.waitlist,
+                    editToken: editToken.token
                 }
             }),
             {
@@ -326,7 +363,7 @@ export async function onRequestOptions(context) {
         headers: {
             'Access-Control-Allow-Origin': '*',
             'Access-Control-Allow-Methods': 'POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key',
             'Access-Control-Max-Age': '86400'
         }
     });
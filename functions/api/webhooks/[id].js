@@ -0,0 +1,180 @@
+import { validateAdminSession, unauthorizedResponse } from '../../_lib/auth.js';
+import { getForm } from '../../_lib/forms.js';
+import { listWebhooks, saveWebhooks, validateWebhookInput } from '../../_lib/webhooks.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+function webhookNotFoundResponse() {
+    return new Response(
+        JSON.stringify({
+            success: false,
+            error: 'Webhook not found'
+        }),
+        {
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+}
+
+// Change a subscription's URL, events, form or active flag (admin only)
+export async function onRequestPatch(context) {
+    const { request, env, params } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        // Parse request body
+        let input;
+        try {
+            input = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Invalid JSON data'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const kv = env.KV_RESPONSES;
+        const webhooks = await listWebhooks(kv);
+        const webhook = webhooks.find(w => w.id === params.id);
+        if (!webhook) {
+            return webhookNotFoundResponse();
+        }
+
+        const { accepted, errors: validationErrors } = validateWebhookInput(input, true);
+
+        if (accepted.formId && !await getForm(kv, accepted.formId)) {
+            validationErrors.push(`Form not found: ${accepted.formId}`);
+        }
+
+        if (validationErrors.length > 0) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    errors: validationErrors
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        Object.assign(webhook, accepted, { updatedAt: new Date().toISOString() });
+        await saveWebhooks(kv, webhooks);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Webhook updated',
+                data: webhook
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Update webhook error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to update webhook',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Remove a subscription (admin only); its delivery log expires on its own
+export async function onRequestDelete(context) {
+    const { request, env, params } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        const kv = env.KV_RESPONSES;
+        const webhooks = await listWebhooks(kv);
+        if (!webhooks.some(w => w.id === params.id)) {
+            return webhookNotFoundResponse();
+        }
+
+        await saveWebhooks(kv, webhooks.filter(w => w.id !== params.id));
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Webhook deleted'
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to delete webhook',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'PATCH, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
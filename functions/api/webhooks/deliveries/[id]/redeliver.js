@@ -0,0 +1,68 @@
+import { validateAdminSession, unauthorizedResponse } from '../../../../_lib/auth.js';
+import { redeliver } from '../../../../_lib/webhooks.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Send a logged delivery again, right away (admin only)
+export async function onRequestPost(context) {
+    const { request, env, params } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        const result = await redeliver(env.KV_RESPONSES, params.id);
+
+        if (!result || result.error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: result ? result.error : 'Delivery not found or expired'
+                }),
+                {
+                    status: result ? 409 : 404,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: result.status === 'delivered' ? 'Delivered' : 'Delivery failed',
+                data: result
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Redeliver webhook error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to redeliver webhook',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
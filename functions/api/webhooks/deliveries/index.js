@@ -0,0 +1,54 @@
+import { validateAdminSession, unauthorizedResponse } from '../../../_lib/auth.js';
+import { listDeliveries } from '../../../_lib/webhooks.js';
+
+// Configuration
+const CONFIG = {
+    DEBUG_MODE: false
+};
+
+// Recent webhook deliveries, newest first (admin only)
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        const deliveries = await listDeliveries(env.KV_RESPONSES);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: deliveries
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('List deliveries error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch webhook deliveries',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
@@ -0,0 +1,175 @@
+import { validateAdminSession, unauthorizedResponse } from '../../_lib/auth.js';
+import { getForm } from '../../_lib/forms.js';
+import {
+    WEBHOOK_EVENTS, listWebhooks, saveWebhooks, validateWebhookInput,
+    generateWebhookId, generateWebhookSecret
+} from '../../_lib/webhooks.js';
+
+// Configuration
+const CONFIG = {
+    MAX_WEBHOOKS: 20,
+    DEBUG_MODE: false
+};
+
+// List webhook subscriptions (admin only)
+export async function onRequestGet(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        const webhooks = await listWebhooks(env.KV_RESPONSES);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                data: webhooks,
+                events: WEBHOOK_EVENTS
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('List webhooks error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to fetch webhooks',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Add a webhook subscription (admin only)
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    try {
+        // Check admin session
+        const sessionValid = await validateAdminSession(request, env);
+        if (!sessionValid) {
+            return unauthorizedResponse();
+        }
+
+        // Parse request body
+        let input;
+        try {
+            input = await request.json();
+        } catch (error) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    error: 'Invalid JSON data'
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const kv = env.KV_RESPONSES;
+        const { accepted, errors: validationErrors } = validateWebhookInput(input);
+
+        if (accepted.formId && !await getForm(kv, accepted.formId)) {
+            validationErrors.push(`Form not found: ${accepted.formId}`);
+        }
+
+        const webhooks = await listWebhooks(kv);
+        if (webhooks.length >= CONFIG.MAX_WEBHOOKS) {
+            validationErrors.push(`At most ${CONFIG.MAX_WEBHOOKS} webhooks can be registered`);
+        }
+
+        if (validationErrors.length > 0) {
+            return new Response(
+                JSON.stringify({
+                    success: false,
+                    errors: validationErrors
+                }),
+                {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' }
+                }
+            );
+        }
+
+        const webhook = {
+            id: generateWebhookId(),
+            url: accepted.url,
+            events: accepted.events,
+            formId: accepted.formId || null,
+            active: accepted.active !== undefined ? accepted.active : true,
+            secret: generateWebhookSecret(),
+            createdAt: new Date().toISOString()
+        };
+
+        webhooks.push(webhook);
+        await saveWebhooks(kv, webhooks);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Webhook created',
+                data: webhook
+            }),
+            {
+                status: 201,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Create webhook error:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: 'Failed to create webhook',
+                debug: CONFIG.DEBUG_MODE ? error.message : undefined
+            }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store'
+                }
+            }
+        );
+    }
+}
+
+// Handle CORS preflight requests
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Cookie',
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Max-Age': '86400'
+        }
+    });
+}
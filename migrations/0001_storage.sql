@@ -0,0 +1,61 @@
+-- D1 schema for STORAGE_BACKEND = "d1" (functions/_lib/storage-d1.js)
+-- Apply with: wrangler d1 migrations apply <database name>
+
+-- One row per registration; `data` is the full record as JSON, the other
+-- columns are copies used for lookups, filters and sorting.
+CREATE TABLE IF NOT EXISTS responses (
+    id TEXT PRIMARY KEY,
+    form_id TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    name TEXT,
+    father TEXT,
+    mobile TEXT,
+    aadhar TEXT,
+    dob TEXT,
+    duplicate_of TEXT,
+    data TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_responses_form_timestamp ON responses (form_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_responses_form_name ON responses (form_id, name COLLATE NOCASE);
+CREATE INDEX IF NOT EXISTS idx_responses_form_dob ON responses (form_id, dob);
+CREATE INDEX IF NOT EXISTS idx_responses_form_mobile ON responses (form_id, mobile);
+CREATE INDEX IF NOT EXISTS idx_responses_form_aadhar ON responses (form_id, aadhar);
+
+-- Previous versions of edited registrations
+CREATE TABLE IF NOT EXISTS response_versions (
+    response_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    replaced_at TEXT,
+    source TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (response_id, version)
+);
+
+-- Admin sessions; expires_at in epoch milliseconds
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at);
+
+-- Login audit trail; expires_at in epoch milliseconds
+CREATE TABLE IF NOT EXISTS security_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    data TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_log_type_timestamp ON security_log (type, timestamp);
+CREATE INDEX IF NOT EXISTS idx_security_log_expires_at ON security_log (expires_at);
+
+-- Named counters, incremented in place
+CREATE TABLE IF NOT EXISTS counters (
+    name TEXT PRIMARY KEY,
+    value INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT
+);
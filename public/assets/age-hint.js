@@ -0,0 +1,75 @@
+// Live "age on the cutoff date" line under the date of birth, for forms whose
+// schema has an `ageRule` (see checkAgeRule() in validation.js). The server
+// applies the same rule on submit.
+
+import { validateDOB, ageOn, resolveAgeRule, checkAgeRule } from './validation.js';
+import { formatError } from './messages.js';
+
+function formatDate(iso, lang) {
+    return new Date(`${iso}T00:00:00Z`).toLocaleDateString(lang === 'en' ? 'en-IN' : 'hi-IN', {
+        timeZone: 'UTC',
+        dateStyle: 'medium'
+    });
+}
+
+function describeAge(age, lang) {
+    return lang === 'en'
+        ? `${age.years} years ${age.months} months ${age.days} days`
+        : `${age.years} वर्ष ${age.months} माह ${age.days} दिन`;
+}
+
+// Error text for the applicant's age, null if eligible or the form has no rule
+export function ageRuleError(rule, dob, data, lang = 'hi') {
+    if (!rule || !validateDOB(dob)) return null;
+
+    const error = checkAgeRule(rule, dob, data);
+    if (!error) return null;
+
+    const params = { ...error.params, cutoff: formatDate(error.params.cutoff, lang) };
+    return formatError({ field: 'dob', code: error.code, params }, lang);
+}
+
+// Keep the line under the form's `dob` input up to date while the student
+// types; the selected class (rule.byField) can change the cutoff and limits
+export function createAgeHint(form, rule, lang = 'hi') {
+    const input = form.elements.namedItem('dob');
+    if (!rule || !input || !input.parentNode) return null;
+
+    const hint = document.createElement('div');
+    hint.className = 'age-hint';
+    input.parentNode.appendChild(hint);
+
+    function update() {
+        const data = Object.fromEntries(new FormData(form).entries());
+        const bounds = resolveAgeRule(rule, data);
+
+        if (!bounds || !validateDOB(data.dob)) {
+            hint.textContent = '';
+            hint.classList.remove('ineligible');
+            return;
+        }
+
+        const age = ageOn(data.dob, bounds.cutoffDate);
+        const cutoff = formatDate(bounds.cutoffDate, lang);
+        const error = ageRuleError(rule, data.dob, data, lang);
+        const line = lang === 'en'
+            ? `Age on ${cutoff}: ${age ? describeAge(age, lang) : 'not yet born'}`
+            : `${cutoff} को आयु: ${age ? describeAge(age, lang) : 'जन्म नहीं हुआ'}`;
+
+        hint.textContent = error ? `${line} ⚠️ ${error}` : `${line} ✓`;
+        hint.classList.toggle('ineligible', !!error);
+    }
+
+    form.addEventListener('input', update);
+    form.addEventListener('change', update);
+    update();
+
+    return {
+        update: update,
+        remove() {
+            form.removeEventListener('input', update);
+            form.removeEventListener('change', update);
+            hint.remove();
+        }
+    };
+}
@@ -0,0 +1,141 @@
+// Photo and document uploads for the inline student page (index.html).
+// Pictures are shrunk to JPEG in the browser before they count against the
+// limits; the server checks size, type and content again (functions/_lib/attachments.js).
+
+const STYLE = `
+    .attachment-preview {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        margin-top: 8px;
+        font-size: 13px;
+        color: #666;
+    }
+    .attachment-preview img {
+        width: 64px;
+        height: 64px;
+        object-fit: cover;
+        border-radius: 6px;
+        border: 1px solid #ddd;
+    }
+`;
+
+// Client-side limits per upload slot (the multipart field name)
+const UPLOADS = {
+    photo: {
+        label: '📷 पासपोर्ट फोटो / Passport photo',
+        accept: 'image/*',
+        maxDimension: 800,
+        quality: 0.85,
+        maxBytes: 2 * 1024 * 1024
+    },
+    document: {
+        label: '📄 आधार या मार्कशीट / Aadhaar or marksheet scan',
+        accept: 'image/*,application/pdf',
+        maxDimension: 2000,
+        quality: 0.85,
+        maxBytes: 5 * 1024 * 1024
+    }
+};
+
+// Scale a picture down to maxDimension and re-encode it as JPEG
+async function compressImage(file, maxDimension, quality) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    if (!blob) throw new Error('Image could not be processed');
+
+    return new File([blob], file.name.replace(/\.[^.]+$/, '') + '.jpg', { type: 'image/jpeg' });
+}
+
+// Add the upload inputs above a form's submit button (and its bot check),
+// showAlert(type, message) reports rejected files
+export function createAttachmentInputs(form, showAlert) {
+    if (!document.getElementById('attachment-step-styles')) {
+        const style = document.createElement('style');
+        style.id = 'attachment-step-styles';
+        style.textContent = STYLE;
+        document.head.appendChild(style);
+    }
+
+    const container = document.createElement('div');
+    container.className = 'attachment-inputs';
+    (form.querySelector('.bot-check') || form.querySelector('[type="submit"]'))
+        .insertAdjacentElement('beforebegin', container);
+
+    const picked = {};
+
+    Object.entries(UPLOADS).forEach(([slot, rules]) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = `upload-${slot}`;
+        label.textContent = rules.label;
+
+        // No name, so FormData(form) and drafts leave the file alone
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.id = `upload-${slot}`;
+        input.accept = rules.accept;
+        if (slot === 'photo') input.setAttribute('capture', 'user');
+
+        const preview = document.createElement('div');
+        preview.className = 'attachment-preview';
+
+        group.append(label, input, preview);
+        container.appendChild(group);
+
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            preview.innerHTML = '';
+            delete picked[slot];
+            if (!file) return;
+
+            try {
+                let upload = file;
+                if (file.type.startsWith('image/')) {
+                    upload = await compressImage(file, rules.maxDimension, rules.quality);
+                } else if (file.type !== 'application/pdf') {
+                    throw new Error('केवल फोटो या PDF / Only images or PDF');
+                }
+                if (upload.size > rules.maxBytes) {
+                    throw new Error(`फ़ाइल बहुत बड़ी है / File is larger than ${Math.round(rules.maxBytes / 1024 / 1024)} MB`);
+                }
+
+                picked[slot] = upload;
+
+                if (upload.type.startsWith('image/')) {
+                    const img = document.createElement('img');
+                    img.src = URL.createObjectURL(upload);
+                    img.onload = () => URL.revokeObjectURL(img.src);
+                    preview.appendChild(img);
+                }
+                preview.appendChild(document.createTextNode(`${upload.name} (${Math.ceil(upload.size / 1024)} KB)`));
+            } catch (error) {
+                input.value = '';
+                showAlert('error', `❌ ${error.message}`);
+            }
+        });
+    });
+
+    return {
+        // Files picked so far, keyed by slot
+        files() {
+            return { ...picked };
+        },
+
+        reset() {
+            Object.keys(picked).forEach(slot => delete picked[slot]);
+            container.querySelectorAll('input').forEach(input => { input.value = ''; });
+            container.querySelectorAll('.attachment-preview').forEach(preview => { preview.innerHTML = ''; });
+        }
+    };
+}
@@ -0,0 +1,113 @@
+// Bot check for the student form (see functions/_lib/challenge.js).
+// Fetches a ticket when the page loads and answers it in the background:
+// a proof-of-work search, or a Turnstile widget, depending on the server.
+
+const TURNSTILE_SCRIPT = 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit';
+
+async function sha256Hex(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hasLeadingZeroBits(hex, bits) {
+    const fullNibbles = Math.floor(bits / 4);
+    if (!/^0*$/.test(hex.substring(0, fullNibbles))) return false;
+
+    const rest = bits % 4;
+    return rest === 0 || parseInt(hex[fullNibbles], 16) < (16 >> rest);
+}
+
+// Find a counter whose hash with the ticket clears the difficulty
+async function solveProofOfWork(ticket, difficulty) {
+    for (let solution = 0; ; solution++) {
+        if (hasLeadingZeroBits(await sha256Hex(`${ticket}:${solution}`), difficulty)) {
+            return String(solution);
+        }
+        // Let the page breathe between batches
+        if (solution % 2000 === 1999) {
+            await new Promise(resolve => setTimeout(resolve));
+        }
+    }
+}
+
+function loadTurnstile() {
+    if (!loadTurnstile.promise) {
+        loadTurnstile.promise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = TURNSTILE_SCRIPT;
+            script.async = true;
+            script.onload = () => resolve(window.turnstile);
+            script.onerror = () => reject(new Error('Could not load the bot check'));
+            document.head.appendChild(script);
+        });
+    }
+    return loadTurnstile.promise;
+}
+
+// Prepare the bot check for a form; widgets (if any) go just before its submit button
+export function createBotCheck(form) {
+    const widget = document.createElement('div');
+    widget.className = 'bot-check';
+    form.querySelector('[type="submit"]').insertAdjacentElement('beforebegin', widget);
+
+    let pending = null;
+    let turnstileId = null;
+    let turnstileToken = null;
+
+    async function prepare() {
+        const response = await fetch('/api/challenge', { cache: 'no-store' });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const challenge = result.data;
+        const fields = { challengeTicket: challenge.ticket };
+
+        if (challenge.provider === 'pow') {
+            fields.challengeSolution = await solveProofOfWork(challenge.ticket, challenge.difficulty);
+        } else if (challenge.provider === 'turnstile') {
+            const turnstile = await loadTurnstile();
+            if (turnstileId === null) {
+                turnstileId = turnstile.render(widget, {
+                    sitekey: challenge.siteKey,
+                    callback: token => { turnstileToken = token; },
+                    'expired-callback': () => { turnstileToken = null; }
+                });
+            }
+        }
+
+        return fields;
+    }
+
+    function start() {
+        pending = prepare();
+        // Surfaced when the form is submitted
+        pending.catch(() => {});
+    }
+
+    start();
+
+    return {
+        // Extra fields to send with the submission; waits for the answer if needed
+        async fields() {
+            const fields = { ...await pending };
+            if (turnstileId !== null) {
+                if (!turnstileToken) {
+                    throw new Error('कृपया बॉट जाँच पूरी करें / Please complete the bot check');
+                }
+                fields.challengeToken = turnstileToken;
+            }
+            return fields;
+        },
+
+        // Start over with a new ticket (after a submission was accepted or refused)
+        reset() {
+            if (turnstileId !== null) {
+                turnstileToken = null;
+                window.turnstile.reset(turnstileId);
+            }
+            start();
+        }
+    };
+}
@@ -0,0 +1,154 @@
+// Save-and-resume controls for the inline student page (index.html).
+// Saves the filled-in fields to /drafts and restores them from a resume code;
+// Aadhar never leaves the page in a draft (the server drops it too).
+
+const STYLE = `
+    .draft-controls {
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+        margin-top: 15px;
+    }
+    .draft-controls button {
+        padding: 12px 14px;
+        border: none;
+        border-radius: 8px;
+        background: #3498db;
+        color: white;
+        font-weight: 600;
+        cursor: pointer;
+    }
+    .resume-draft {
+        display: flex;
+        gap: 8px;
+    }
+    .resume-draft input {
+        flex: 1;
+        text-transform: uppercase;
+        letter-spacing: 2px;
+    }
+    .draft-code-box {
+        background: #eef6ff;
+        border: 1px solid #b6d4fe;
+        border-radius: 8px;
+        padding: 12px;
+        color: #084298;
+        display: none;
+    }
+    .draft-code {
+        font-family: 'Monaco', 'Consolas', monospace;
+        font-size: 20px;
+        letter-spacing: 3px;
+    }
+`;
+
+// Form fields that are never saved in a draft
+const UNSAVED_FIELDS = ['aadhar', 'consent', 'website'];
+
+// Attach the draft controls below a form's submit button.
+// formApi is `/api/forms/<id>`, showAlert(type, message) reports errors.
+export function createDraftControls(form, formApi, showAlert) {
+    if (!document.getElementById('draft-step-styles')) {
+        const style = document.createElement('style');
+        style.id = 'draft-step-styles';
+        style.textContent = STYLE;
+        document.head.appendChild(style);
+    }
+
+    const container = document.createElement('div');
+    container.className = 'draft-controls';
+    container.innerHTML = `
+        <button type="button" class="save-draft">💾 बाद में पूरा करें / Save and continue later</button>
+        <div class="draft-code-box" role="status"></div>
+        <div class="resume-draft">
+            <input type="text" class="resume-code" placeholder="Resume code (ABCD-EFGH)" maxlength="9" autocomplete="off">
+            <button type="button" class="resume">↩ Resume</button>
+        </div>
+    `;
+    form.querySelector('[type="submit"]').insertAdjacentElement('afterend', container);
+
+    const codeBox = container.querySelector('.draft-code-box');
+    const codeInput = container.querySelector('.resume-code');
+    let draftCode = null;
+
+    function showCode(code, expiresAt) {
+        const expires = new Date(expiresAt).toLocaleDateString('hi-IN', { timeZone: 'Asia/Kolkata' });
+        codeBox.textContent = `इस कोड को लिख लें (${expires} तक मान्य) / Write down your resume code: `;
+        const codeEl = document.createElement('span');
+        codeEl.className = 'draft-code';
+        codeEl.textContent = code;
+        codeBox.appendChild(codeEl);
+        codeBox.style.display = 'block';
+    }
+
+    container.querySelector('.save-draft').addEventListener('click', async () => {
+        const data = {};
+        for (const [name, value] of new FormData(form).entries()) {
+            if (typeof value === 'string' && value.trim() !== '' && !UNSAVED_FIELDS.includes(name)) {
+                data[name] = value;
+            }
+        }
+
+        try {
+            const response = await fetch(`${formApi}/drafts`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ code: draftCode, data })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            draftCode = result.data.code;
+            showCode(result.data.code, result.data.expiresAt);
+        } catch (error) {
+            showAlert('error', `❌ ड्राफ्ट सहेजा नहीं जा सका / Could not save draft: ${error.message}`);
+        }
+    });
+
+    container.querySelector('.resume').addEventListener('click', async () => {
+        const code = codeInput.value.trim();
+        if (!code) {
+            showAlert('error', '❌ Resume code दर्ज करें / Enter your resume code');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${formApi}/drafts/${encodeURIComponent(code)}`, { cache: 'no-store' });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            Object.entries(result.data.data).forEach(([name, value]) => {
+                const input = form.elements.namedItem(name);
+                if (input && !UNSAVED_FIELDS.includes(name)) {
+                    input.value = value;
+                    // Let the page's own listeners (age hint, OTP) see the restored value
+                    input.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+            });
+
+            draftCode = result.data.code;
+            codeInput.value = '';
+            showCode(result.data.code, result.data.expiresAt);
+            showAlert('success', '✅ ड्राफ्ट वापस लाया गया, आधार नंबर दोबारा भरें / Draft restored, please enter the Aadhar number again');
+        } catch (error) {
+            showAlert('error', `❌ ${error.message}`);
+        }
+    });
+
+    return {
+        // Resume code of the draft being completed, or null
+        code() {
+            return draftCode;
+        },
+
+        // Forget the draft (the server discarded it with the submission)
+        reset() {
+            draftCode = null;
+            codeBox.style.display = 'none';
+        }
+    };
+}
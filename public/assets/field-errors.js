@@ -0,0 +1,52 @@
+// Show the field errors returned by /api/submit and /api/registration next to
+// the inputs they belong to, in the page's language (see messages.js).
+
+import { formatError } from './messages.js';
+
+// Remove every error mark from a form
+export function clearFieldErrors(form) {
+    form.querySelectorAll('.field-error').forEach(note => note.remove());
+    form.querySelectorAll('.field-invalid').forEach(input => {
+        input.classList.remove('field-invalid');
+        input.removeAttribute('aria-invalid');
+    });
+}
+
+// Mark each input named by an error and put its message below it; the mark
+// goes once the input is edited. `labels` maps field names to display labels.
+// Returns the messages of errors without a matching input, for the caller to show.
+export function showFieldErrors(form, errors, { lang = 'hi', labels = {} } = {}) {
+    clearFieldErrors(form);
+    const unmatched = [];
+    let first = null;
+
+    errors.forEach(error => {
+        const message = formatError(error, lang, labels[error.field] || error.field);
+        const input = form.elements.namedItem(error.field);
+
+        // Missing, or a group of radio buttons
+        if (!input || !input.parentNode) {
+            unmatched.push(message);
+            return;
+        }
+
+        input.classList.add('field-invalid');
+        input.setAttribute('aria-invalid', 'true');
+
+        const note = document.createElement('div');
+        note.className = 'field-error';
+        note.textContent = message;
+        input.parentNode.appendChild(note);
+
+        input.addEventListener('input', () => {
+            input.classList.remove('field-invalid');
+            input.removeAttribute('aria-invalid');
+            note.remove();
+        }, { once: true });
+
+        if (!first) first = input;
+    });
+
+    if (first) first.focus();
+    return unmatched;
+}
@@ -0,0 +1,99 @@
+// Messages for the field errors the server returns as { field, code, params }.
+// Shared like validation.js: the Functions use the English text for the
+// `message` of each error, the browser shows Hindi or English.
+
+export const ERROR_MESSAGES = {
+    required: {
+        en: '{label} is required',
+        hi: '{label} आवश्यक है'
+    },
+    too_short: {
+        en: '{label} must be at least {min} characters long',
+        hi: '{label}: कम से कम {min} अक्षर आवश्यक'
+    },
+    too_long: {
+        en: '{label} is too long (at most {max} characters)',
+        hi: '{label}: अधिकतम {max} अक्षर'
+    },
+    invalid_characters: {
+        en: '{label} contains characters that are not allowed',
+        hi: '{label} में अमान्य अक्षर हैं'
+    },
+    invalid_name: {
+        en: '{label} may only contain letters, spaces, apostrophes, hyphens and dots',
+        hi: "{label} में केवल अक्षर, स्पेस, ' - . हो सकते हैं"
+    },
+    invalid_dob: {
+        en: 'Invalid date of birth (not in the future or more than 100 years ago)',
+        hi: 'मान्य जन्म तिथि दर्ज करें (भविष्य की या 100 वर्ष से पुरानी नहीं)'
+    },
+    invalid_mobile: {
+        en: 'Invalid Indian mobile number',
+        hi: 'मान्य मोबाइल नंबर दर्ज करें'
+    },
+    invalid_aadhar: {
+        en: 'Invalid Aadhar number',
+        hi: 'मान्य 12-अंकीय आधार नंबर दर्ज करें'
+    },
+    too_young: {
+        en: 'Applicant must be at least {years} years {months} months old on {cutoff}',
+        hi: '{cutoff} को आयु कम से कम {years} वर्ष {months} माह होनी चाहिए'
+    },
+    too_old: {
+        en: 'Applicant must be at most {years} years {months} months old on {cutoff}',
+        hi: '{cutoff} को आयु अधिकतम {years} वर्ष {months} माह होनी चाहिए'
+    },
+    not_a_number: {
+        en: '{label} must be a number',
+        hi: '{label}: संख्या दर्ज करें'
+    },
+    invalid_option: {
+        en: 'Choose a valid option for {label}',
+        hi: '{label}: मान्य विकल्प चुनें'
+    },
+    invalid_value: {
+        en: 'Invalid {label}',
+        hi: '{label}: मान्य मान दर्ज करें'
+    },
+    duplicate: {
+        en: '{label} matches another registration ({existing})',
+        hi: '{label} पहले से पंजीकृत है ({existing})'
+    },
+    consent_required: {
+        en: "Parent's consent to the privacy notice is required",
+        hi: 'गोपनीयता सूचना पर अभिभावक की सहमति आवश्यक है'
+    },
+    consent_outdated: {
+        en: 'The privacy notice has changed (now version {version}), please read it and consent again',
+        hi: 'गोपनीयता सूचना बदल गई है (अब संस्करण {version}), कृपया पढ़कर फिर से सहमति दें'
+    },
+    consent_unknown_version: {
+        en: 'No privacy notice version {version} has been published',
+        hi: 'गोपनीयता सूचना का संस्करण {version} प्रकाशित नहीं हुआ है'
+    },
+    file_too_large: {
+        en: '{label} must be smaller than {maxMb} MB',
+        hi: '{label}: फ़ाइल {maxMb} MB से छोटी होनी चाहिए'
+    },
+    file_type: {
+        en: '{label} must be one of: {types}',
+        hi: '{label}: केवल {types} फ़ाइलें स्वीकार्य हैं'
+    },
+    file_content: {
+        en: '{label} does not look like a valid {type} file',
+        hi: '{label}: फ़ाइल मान्य {type} नहीं लगती'
+    }
+};
+
+// Message for one error in 'hi' or 'en'. `label` is the field's label in that
+// language; unknown codes fall back to invalid_value.
+export function formatError(error, lang = 'en', label = error.field) {
+    const messages = ERROR_MESSAGES[error.code] || ERROR_MESSAGES.invalid_value;
+    const values = { ...error.params, label: label };
+
+    return (messages[lang] || messages.en).replace(/\{(\w+)\}/g, (match, name) => {
+        const value = values[name];
+        if (value === undefined || value === null) return match;
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    });
+}
@@ -0,0 +1,153 @@
+// Mobile OTP step for the inline student pages (index.html, edit.html).
+// Adds "Send OTP" / "Verify" controls under the mobile input and remembers
+// the verification token for the number that was verified.
+
+const STYLE = `
+    .otp-step {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+        margin-top: 10px;
+    }
+    .otp-step button {
+        padding: 10px 14px;
+        border: none;
+        border-radius: 8px;
+        background: #3498db;
+        color: white;
+        font-weight: 600;
+        cursor: pointer;
+    }
+    .otp-step button:disabled {
+        background: #95a5a6;
+        cursor: default;
+    }
+    .otp-step input {
+        flex: 1;
+        min-width: 120px;
+        padding: 10px;
+        letter-spacing: 4px;
+    }
+    .otp-status {
+        width: 100%;
+        font-size: 13px;
+        color: #666;
+    }
+    .otp-status.verified {
+        color: #155724;
+        font-weight: 600;
+    }
+`;
+
+async function postJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    return result.data;
+}
+
+// Attach the OTP controls to a mobile input, showAlert(type, message) reports errors.
+// Sending spends a ticket of botCheck (see challenge.js), which is then reset.
+export function createOtpStep(mobileInput, showAlert, botCheck) {
+    if (!document.getElementById('otp-step-styles')) {
+        const style = document.createElement('style');
+        style.id = 'otp-step-styles';
+        style.textContent = STYLE;
+        document.head.appendChild(style);
+    }
+
+    const container = document.createElement('div');
+    container.className = 'otp-step';
+    container.innerHTML = `
+        <button type="button" class="otp-send">📲 OTP भेजें / Send OTP</button>
+        <input type="text" class="otp-code" inputmode="numeric" maxlength="6" placeholder="OTP" autocomplete="one-time-code">
+        <button type="button" class="otp-verify">✔ Verify</button>
+        <div class="otp-status"></div>
+    `;
+    mobileInput.insertAdjacentElement('afterend', container);
+
+    const sendBtn = container.querySelector('.otp-send');
+    const verifyBtn = container.querySelector('.otp-verify');
+    const codeInput = container.querySelector('.otp-code');
+    const status = container.querySelector('.otp-status');
+    let verified = null;
+
+    const currentMobile = () => mobileInput.value.replace(/\D/g, '');
+
+    function setStatus(message, isVerified = false) {
+        status.textContent = message;
+        status.className = `otp-status${isVerified ? ' verified' : ''}`;
+    }
+
+    // Count down before another code can be requested
+    function cooldown(seconds) {
+        sendBtn.disabled = true;
+        let left = seconds;
+        const timer = setInterval(() => {
+            left--;
+            sendBtn.textContent = left > 0 ? `📲 Resend (${left}s)` : '📲 OTP दोबारा भेजें / Resend OTP';
+            if (left <= 0) {
+                clearInterval(timer);
+                sendBtn.disabled = false;
+            }
+        }, 1000);
+    }
+
+    sendBtn.addEventListener('click', async () => {
+        try {
+            let data;
+            try {
+                data = await postJson('/api/otp/send', { mobile: currentMobile(), ...await botCheck.fields() });
+            } finally {
+                botCheck.reset();
+            }
+            setStatus(data.devCode
+                ? `OTP भेजा गया (dev code: ${data.devCode})`
+                : 'OTP भेजा गया / OTP sent');
+            codeInput.focus();
+            cooldown(data.resendIn);
+        } catch (error) {
+            showAlert('error', `❌ ${error.message}`);
+        }
+    });
+
+    verifyBtn.addEventListener('click', async () => {
+        try {
+            const mobile = currentMobile();
+            const data = await postJson('/api/otp/verify', { mobile, code: codeInput.value.trim() });
+            verified = { mobile, token: data.verificationToken };
+            codeInput.value = '';
+            setStatus('✅ मोबाइल सत्यापित / Mobile verified', true);
+        } catch (error) {
+            showAlert('error', `❌ ${error.message}`);
+        }
+    });
+
+    // A different number needs its own OTP
+    mobileInput.addEventListener('input', () => {
+        if (verified && verified.mobile !== currentMobile()) {
+            verified = null;
+            setStatus('');
+        }
+    });
+
+    return {
+        // Verification token for this mobile, or null
+        tokenFor(mobile) {
+            const digits = (mobile || '').replace(/\D/g, '');
+            return verified && verified.mobile === digits ? verified.token : null;
+        },
+
+        reset() {
+            verified = null;
+            codeInput.value = '';
+            setStatus('');
+        }
+    };
+}
@@ -0,0 +1,113 @@
+// Acknowledgement slip buttons for the student pages (index.html and the
+// FormHandler in script.js): download or print the PDF from /api/receipt/:id.
+// The edit token authorises it, so it goes in a header rather than a URL.
+
+const STYLE = `
+    .receipt-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+        margin-top: 12px;
+    }
+    .receipt-actions button {
+        padding: 10px 14px;
+        border: none;
+        border-radius: 8px;
+        background: #3498db;
+        color: white;
+        font-weight: 600;
+        cursor: pointer;
+    }
+    .receipt-actions button:disabled {
+        background: #95a5a6;
+        cursor: default;
+    }
+`;
+
+// Object URL of the slip, revoked again after a minute
+async function fetchReceipt(responseId, editToken) {
+    const response = await fetch(`/api/receipt/${encodeURIComponent(responseId)}`, {
+        headers: { 'X-Edit-Token': editToken }
+    });
+
+    if (!response.ok) {
+        let message = 'Could not load the receipt';
+        try {
+            message = (await response.json()).error || message;
+        } catch (error) {
+            // Not JSON, keep the generic message
+        }
+        throw new Error(message);
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    return url;
+}
+
+export async function downloadReceipt(responseId, editToken) {
+    const url = await fetchReceipt(responseId, editToken);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `receipt-${responseId}.pdf`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+// Print from a hidden frame; where the browser cannot print a PDF frame
+// (most phones) the slip opens in a new tab to print or share from there
+export async function printReceipt(responseId, editToken) {
+    const url = await fetchReceipt(responseId, editToken);
+
+    const frame = document.createElement('iframe');
+    frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+    frame.src = url;
+    frame.addEventListener('load', () => {
+        try {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        } catch (error) {
+            window.open(url, '_blank');
+        }
+        setTimeout(() => frame.remove(), 60000);
+    });
+    document.body.appendChild(frame);
+}
+
+// Add "Download" / "Print" buttons to a container, showAlert(type, message) reports errors
+export function createReceiptActions(container, responseId, editToken, showAlert) {
+    if (!document.getElementById('receipt-styles')) {
+        const style = document.createElement('style');
+        style.id = 'receipt-styles';
+        style.textContent = STYLE;
+        document.head.appendChild(style);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'receipt-actions';
+    actions.innerHTML = `
+        <button type="button" class="receipt-download">📄 रसीद डाउनलोड करें / Download receipt</button>
+        <button type="button" class="receipt-print">🖨 प्रिंट करें / Print</button>
+    `;
+    container.appendChild(actions);
+
+    const wire = (selector, action) => {
+        const button = actions.querySelector(selector);
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                await action(responseId, editToken);
+            } catch (error) {
+                showAlert('error', `❌ ${error.message}`);
+            } finally {
+                button.disabled = false;
+            }
+        });
+    };
+    wire('.receipt-download', downloadReceipt);
+    wire('.receipt-print', printReceipt);
+
+    return actions;
+}
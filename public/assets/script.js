@@ -1,7 +1,16 @@
 // ==================== CONFIGURATION ====================
 const CONFIG = {
     API_BASE: '/api',
+    VALIDATION_MODULE: '/assets/validation.js',
+    MESSAGES_MODULE: '/assets/messages.js',
+    RECEIPT_MODULE: '/assets/receipt.js',
+    // Client-side limits for uploads; the server enforces its own (functions/_lib/attachments.js)
+    UPLOADS: {
+        photo: { maxDimension: 800, quality: 0.85, maxBytes: 2 * 1024 * 1024, accept: 'image/*' },
+        document: { maxDimension: 2000, quality: 0.85, maxBytes: 5 * 1024 * 1024, accept: 'image/*,application/pdf' }
+    },
     AUTO_REFRESH_INTERVAL: 3000, // 3 seconds
+    REVEAL_DURATION: 30000, // how long revealed Aadhar/mobile stay unmasked
     SESSION_TIMEOUT: 86400000, // 24 hours in milliseconds
     MAX_RETRIES: 3,
     RETRY_DELAY: 1000,
@@ -59,49 +68,119 @@ class Utils {
         return aadhar;
     }
 
-    // Validate form data
-    static validateFormData(formData) {
+    // Escape text for markup built from template strings; stored values are
+    // kept exactly as typed, so names like "D'Souza" arrive unaltered
+    static escapeHtml(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    // Quote a value for CSV, with a leading apostrophe on anything a
+    // spreadsheet would run as a formula (same rule as /api/export)
+    static csvCell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    // Load the format rules shared with the server (public/assets/validation.js)
+    static loadValidators() {
+        if (!Utils.validatorsPromise) {
+            Utils.validatorsPromise = import(CONFIG.VALIDATION_MODULE).then(module => {
+                Utils.validators = module;
+                return module;
+            });
+        }
+        return Utils.validatorsPromise;
+    }
+
+    // Validate form data (optionally also the admin-configured extra fields).
+    // Call Utils.loadValidators() first.
+    static validateFormData(formData, schema = null) {
+        const { validateDOB, validateIndianMobile, validateAadhar, validateName } = Utils.validators;
         const errors = [];
 
         // Name validation
         if (!formData.name || formData.name.trim().length < 2) {
             errors.push('नाम कम से कम 2 अक्षर का होना चाहिए');
+        } else if (!validateName(formData.name)) {
+            errors.push('नाम में केवल अक्षर, स्पेस, \' - . हो सकते हैं');
         }
 
         // Date of birth validation
         if (!formData.dob) {
             errors.push('जन्म तिथि आवश्यक है');
-        } else {
-            const dob = new Date(formData.dob);
-            const today = new Date();
-            if (dob > today) {
-                errors.push('जन्म तिथि भविष्य की नहीं हो सकती');
+        } else if (!validateDOB(formData.dob)) {
+            errors.push('मान्य जन्म तिथि दर्ज करें (भविष्य की या 100 वर्ष से पुरानी नहीं)');
+        } else if (schema && schema.ageRule) {
+            const ageError = Utils.validators.checkAgeRule(schema.ageRule, formData.dob, formData);
+            if (ageError) {
+                const { years, months, cutoff } = ageError.params;
+                errors.push(ageError.code === 'too_young'
+                    ? `${cutoff} को आयु कम से कम ${years} वर्ष ${months} माह होनी चाहिए`
+                    : `${cutoff} को आयु अधिकतम ${years} वर्ष ${months} माह होनी चाहिए`);
             }
         }
 
         // Mobile validation
-        const mobileRegex = /^[6-9]\d{9}$/;
-        if (!formData.mobile || !mobileRegex.test(formData.mobile.toString().replace(/\D/g, ''))) {
+        if (!formData.mobile || !validateIndianMobile(formData.mobile)) {
             errors.push('मान्य मोबाइल नंबर दर्ज करें');
         }
 
         // Father's name validation
         if (!formData.father || formData.father.trim().length < 2) {
             errors.push('पिता का नाम कम से कम 2 अक्षर का होना चाहिए');
+        } else if (!validateName(formData.father)) {
+            errors.push('पिता के नाम में केवल अक्षर, स्पेस, \' - . हो सकते हैं');
         }
 
         // Aadhar validation
-        const aadharRegex = /^\d{12}$/;
-        if (!formData.aadhar || !aadharRegex.test(formData.aadhar.toString().replace(/\D/g, ''))) {
+        if (!formData.aadhar || !validateAadhar(formData.aadhar)) {
             errors.push('मान्य 12-अंकीय आधार नंबर दर्ज करें');
         }
 
+        // Schema-driven fields beyond the built-in five
+        if (schema) {
+            const builtIn = ['name', 'dob', 'mobile', 'father', 'aadhar'];
+            schema.fields
+                .filter(field => !builtIn.includes(field.name))
+                .forEach(field => {
+                    const error = Utils.validateSchemaField(field, formData[field.name]);
+                    if (error) errors.push(error);
+                });
+        }
+
         return {
             isValid: errors.length === 0,
             errors: errors
         };
     }
 
+    // Validate one value against its schema field, returns a message or null
+    static validateSchemaField(field, rawValue) {
+        const value = (rawValue || '').toString().trim();
+        const label = field.label.hi || field.label.en;
+
+        if (!value) {
+            return field.required ? `${label} आवश्यक है` : null;
+        }
+        if (field.minLength !== undefined && value.length < field.minLength) {
+            return `${label}: कम से कम ${field.minLength} अक्षर आवश्यक`;
+        }
+        if (field.maxLength !== undefined && value.length > field.maxLength) {
+            return `${label}: अधिकतम ${field.maxLength} अक्षर`;
+        }
+        if (field.type === 'select' && !field.options.some(option => option.value === value)) {
+            return `${label}: मान्य विकल्प चुनें`;
+        }
+        if (field.pattern && !new RegExp(field.pattern).test(value)) {
+            return `${label}: मान्य मान दर्ज करें`;
+        }
+        return null;
+    }
+
     // Show alert message
     static showAlert(type, message, duration = 5000) {
         // Remove existing alerts
@@ -249,6 +328,24 @@ class Utils {
         }
     }
 
+    // Downscale an image and re-encode it as JPEG
+    static async compressImage(file, maxDimension, quality) {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+        if (!blob) throw new Error('Image could not be processed');
+
+        const name = file.name.replace(/\.[^.]+$/, '') + '.jpg';
+        return new File([blob], name, { type: 'image/jpeg' });
+    }
+
     // Debounce function
     static debounce(func, wait) {
         let timeout;
@@ -311,11 +408,22 @@ class Utils {
 
 // ==================== API SERVICE ====================
 class ApiService {
-    constructor() {
+    constructor(formId = 'default') {
         this.baseUrl = CONFIG.API_BASE;
+        this.formId = formId;
         this.retryCount = 0;
     }
 
+    // Switch the form that form-scoped calls go to
+    setForm(formId) {
+        this.formId = formId || 'default';
+    }
+
+    // Build a form-scoped endpoint
+    formPath(endpoint) {
+        return `/forms/${encodeURIComponent(this.formId)}${endpoint}`;
+    }
+
     async request(endpoint, options = {}) {
         const url = `${this.baseUrl}${endpoint}`;
         const defaultOptions = {
@@ -352,7 +460,11 @@ class ApiService {
             Utils.log(`API Response: ${endpoint}`, data);
 
             if (!response.ok) {
-                throw new Error(data.error || `API Error: ${response.status}`);
+                // Field errors ride along for FormHandler.showServerErrors
+                const error = new Error(data.error || `API Error: ${response.status}`);
+                error.status = response.status;
+                error.errors = data.errors || null;
+                throw error;
             }
 
             this.retryCount = 0;
@@ -361,8 +473,9 @@ class ApiService {
         } catch (error) {
             Utils.error(`API Error (${endpoint}):`, error);
             
-            // Retry logic
-            if (this.retryCount < CONFIG.MAX_RETRIES) {
+            // Retry logic (a rejected request would only be rejected again)
+            const clientError = error.status >= 400 && error.status < 500;
+            if (!clientError && this.retryCount < CONFIG.MAX_RETRIES) {
                 this.retryCount++;
                 await this.sleep(CONFIG.RETRY_DELAY * this.retryCount);
                 return this.request(endpoint, options);
@@ -376,17 +489,91 @@ class ApiService {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // Form submission
-    async submitForm(formData) {
-        return this.request('/submit', {
+    // Form submission (multipart when files are attached).
+    // One Idempotency-Key per submit, reused by every retry in request(),
+    // so a retry after a lost response cannot store the registration twice.
+    async submitForm(formData, files = null) {
+        const idempotencyKey = crypto.randomUUID();
+
+        if (!files || Object.keys(files).length === 0) {
+            return this.request(this.formPath('/submit'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Idempotency-Key': idempotencyKey
+                },
+                body: JSON.stringify(formData)
+            });
+        }
+
+        const body = new FormData();
+        Object.entries(formData).forEach(([name, value]) => body.append(name, value));
+        Object.entries(files).forEach(([slot, file]) => body.append(slot, file, file.name));
+
+        // Let the browser set the multipart boundary
+        return this.request(this.formPath('/submit'), {
             method: 'POST',
-            body: JSON.stringify(formData)
+            headers: { 'Accept': 'application/json', 'Idempotency-Key': idempotencyKey },
+            body: body
         });
     }
 
+    // Get the form schema
+    async getSchema() {
+        return this.request(this.formPath('/schema'));
+    }
+
+    // Get the current privacy notice (parents consent to its version)
+    async getPrivacyNotice() {
+        return this.request('/privacy');
+    }
+
+    // Save a partial submission, returns its resume code
+    async saveDraft(data, code = null) {
+        return this.request(this.formPath('/drafts'), {
+            method: 'POST',
+            body: JSON.stringify({ code, data })
+        });
+    }
+
+    // Load a saved draft by resume code
+    async getDraft(code) {
+        return this.request(this.formPath(`/drafts/${encodeURIComponent(code)}`));
+    }
+
+    // Text an OTP to a mobile number
+    async sendOtp(mobile) {
+        return this.request('/otp/send', {
+            method: 'POST',
+            body: JSON.stringify({ mobile })
+        });
+    }
+
+    // Exchange an OTP for a mobile verification token
+    async verifyOtp(mobile, code) {
+        return this.request('/otp/verify', {
+            method: 'POST',
+            body: JSON.stringify({ mobile, code })
+        });
+    }
+
+    // List forms
+    async getForms() {
+        return this.request('/forms');
+    }
+
     // Get all responses
     async getResponses() {
-        return this.request('/responses');
+        return this.request(this.formPath('/responses'));
+    }
+
+    // Full Aadhar/mobile of one response (audited by the server)
+    async revealResponse(responseId) {
+        return this.request(`/responses/${encodeURIComponent(responseId)}/reveal`, {
+            method: 'POST',
+            body: JSON.stringify({})
+        });
     }
 
     // Admin login
@@ -402,17 +589,22 @@ class ApiService {
         return this.request('/login');
     }
 
-    // Export data
-    async exportData(format = 'csv') {
-        return this.request(`/export?format=${format}`);
+    // Export data (Aadhar/mobile masked unless revealed, which is audited)
+    async exportData(format = 'csv', reveal = false) {
+        return this.request(this.formPath(`/export?format=${format}${reveal ? '&reveal=1' : ''}`));
     }
 }
 
 // ==================== FORM HANDLER ====================
 class FormHandler {
     constructor() {
-        this.api = new ApiService();
+        this.api = new ApiService(new URLSearchParams(window.location.search).get('form') || 'default');
         this.form = document.getElementById('studentForm');
+        this.schema = null;
+        this.draftCode = null;
+        this.attachments = {};
+        this.mobileVerification = null;
+        this.privacyVersion = null;
         this.init();
     }
 
@@ -431,9 +623,337 @@ class FormHandler {
         // Auto-format inputs
         this.addAutoFormatting();
 
+        // Load admin-configured fields, the privacy notice version and the shared format rules
+        this.loadSchema();
+        this.loadPrivacyNotice();
+        Utils.loadValidators().catch(error => Utils.error('Failed to load validators:', error));
+
+        // Photo and document uploads
+        this.addAttachmentControls();
+
+        // Save-and-resume controls
+        this.addDraftControls();
+
         Utils.log('Form handler initialized');
     }
 
+    async loadSchema() {
+        try {
+            const result = await this.api.getSchema();
+            if (result.success) {
+                this.schema = result.data;
+                if (result.requirements && result.requirements.mobileOtp) {
+                    this.addOtpControls();
+                }
+            }
+        } catch (error) {
+            Utils.error('Failed to load form schema:', error);
+        }
+    }
+
+    async loadPrivacyNotice() {
+        try {
+            const result = await this.api.getPrivacyNotice();
+            if (result.success) {
+                this.privacyVersion = result.data.version;
+            }
+        } catch (error) {
+            Utils.error('Failed to load privacy notice:', error);
+        }
+    }
+
+    addDraftControls() {
+        const submitBtn = this.form.querySelector('[type="submit"]');
+        if (!submitBtn) return;
+
+        const container = document.createElement('div');
+        container.className = 'draft-controls';
+        container.innerHTML = `
+            <button type="button" class="btn btn-secondary btn-block save-draft-btn">
+                💾 Save and continue later / बाद में पूरा करें
+            </button>
+            <div class="resume-draft">
+                <input type="text" class="form-control resume-code-input" placeholder="Resume code (e.g. ABCD-EFGH)" maxlength="9" autocomplete="off">
+                <button type="button" class="btn btn-secondary resume-draft-btn">↩ Resume</button>
+            </div>
+        `;
+        submitBtn.insertAdjacentElement('afterend', container);
+
+        container.querySelector('.save-draft-btn').addEventListener('click', () => this.saveDraft());
+        container.querySelector('.resume-draft-btn').addEventListener('click', () => {
+            this.resumeDraft(container.querySelector('.resume-code-input').value.trim());
+        });
+
+        if (!document.querySelector('#draft-styles')) {
+            const style = document.createElement('style');
+            style.id = 'draft-styles';
+            style.textContent = `
+                .draft-controls {
+                    margin-top: 15px;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 10px;
+                }
+                .resume-draft {
+                    display: flex;
+                    gap: 10px;
+                }
+                .resume-draft .form-control {
+                    flex: 1;
+                    text-transform: uppercase;
+                    letter-spacing: 2px;
+                }
+                .draft-code {
+                    font-family: 'Monaco', 'Consolas', monospace;
+                    font-size: 20px;
+                    letter-spacing: 3px;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+    }
+
+    addAttachmentControls() {
+        const submitBtn = this.form.querySelector('[type="submit"]');
+        if (!submitBtn) return;
+
+        const labels = {
+            photo: '📷 पासपोर्ट फोटो / Passport photo',
+            document: '📄 आधार या मार्कशीट / Aadhaar or marksheet scan'
+        };
+
+        const container = document.createElement('div');
+        container.className = 'attachment-controls';
+        container.innerHTML = Object.entries(CONFIG.UPLOADS).map(([slot, rules]) => `
+            <div class="form-group attachment-upload" data-slot="${slot}">
+                <label>${labels[slot]}</label>
+                <input type="file" class="form-control" accept="${rules.accept}" ${slot === 'photo' ? 'capture="user"' : ''}>
+                <div class="attachment-preview"></div>
+            </div>
+        `).join('');
+        submitBtn.insertAdjacentElement('beforebegin', container);
+
+        // File inputs carry no name, so drafts and field collection skip them
+        container.querySelectorAll('.attachment-upload').forEach(group => {
+            group.querySelector('input').addEventListener('change', (e) => {
+                this.handleAttachment(group.dataset.slot, e.target.files[0], group);
+            });
+        });
+
+        if (!document.querySelector('#attachment-styles')) {
+            const style = document.createElement('style');
+            style.id = 'attachment-styles';
+            style.textContent = `
+                .attachment-preview {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    margin-top: 8px;
+                    font-size: 13px;
+                    color: #666;
+                }
+                .attachment-preview img {
+                    width: 64px;
+                    height: 64px;
+                    object-fit: cover;
+                    border-radius: 6px;
+                    border: 1px solid #ddd;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+    }
+
+    // Compress a picked file and keep it for submission
+    async handleAttachment(slot, file, group) {
+        const rules = CONFIG.UPLOADS[slot];
+        const preview = group.querySelector('.attachment-preview');
+        preview.innerHTML = '';
+        delete this.attachments[slot];
+
+        if (!file) return;
+
+        try {
+            let upload = file;
+            if (file.type.startsWith('image/')) {
+                upload = await Utils.compressImage(file, rules.maxDimension, rules.quality);
+            } else if (file.type !== 'application/pdf') {
+                throw new Error('केवल फोटो या PDF / Only images or PDF');
+            }
+
+            if (upload.size > rules.maxBytes) {
+                throw new Error(`फ़ाइल बहुत बड़ी है / File is larger than ${Math.round(rules.maxBytes / 1024 / 1024)} MB`);
+            }
+
+            this.attachments[slot] = upload;
+
+            if (upload.type.startsWith('image/')) {
+                const img = document.createElement('img');
+                img.src = URL.createObjectURL(upload);
+                img.onload = () => URL.revokeObjectURL(img.src);
+                preview.appendChild(img);
+            }
+            preview.appendChild(document.createTextNode(`${upload.name} (${Math.ceil(upload.size / 1024)} KB)`));
+
+        } catch (error) {
+            group.querySelector('input').value = '';
+            Utils.showAlert('error', error.message);
+            Utils.error('Attachment error:', error);
+        }
+    }
+
+    addOtpControls() {
+        const mobileInput = this.form.querySelector('[name="mobile"]');
+        if (!mobileInput || this.otpControls) return;
+
+        const container = document.createElement('div');
+        container.className = 'otp-controls';
+        container.innerHTML = `
+            <button type="button" class="btn btn-secondary send-otp-btn">📲 OTP भेजें</button>
+            <input type="text" class="form-control otp-code-input" inputmode="numeric" maxlength="6" placeholder="OTP" autocomplete="one-time-code">
+            <button type="button" class="btn btn-secondary verify-otp-btn">✔ Verify</button>
+        `;
+        mobileInput.insertAdjacentElement('afterend', container);
+        this.otpControls = container;
+
+        const codeInput = container.querySelector('.otp-code-input');
+        const mobileDigits = () => mobileInput.value.replace(/\D/g, '');
+
+        container.querySelector('.send-otp-btn').addEventListener('click', async () => {
+            try {
+                const result = await this.api.sendOtp(mobileDigits());
+                Utils.showAlert('success', result.data.devCode
+                    ? `OTP भेजा गया (dev code: ${result.data.devCode})`
+                    : 'OTP भेजा गया');
+                codeInput.focus();
+            } catch (error) {
+                Utils.showAlert('error', error.message);
+            }
+        });
+
+        container.querySelector('.verify-otp-btn').addEventListener('click', async () => {
+            try {
+                const mobile = mobileDigits();
+                const result = await this.api.verifyOtp(mobile, codeInput.value.trim());
+                this.mobileVerification = { mobile, token: result.data.verificationToken };
+                codeInput.value = '';
+                Utils.showAlert('success', '✅ मोबाइल सत्यापित');
+            } catch (error) {
+                Utils.showAlert('error', error.message);
+            }
+        });
+
+        // A different number needs its own OTP
+        mobileInput.addEventListener('input', () => {
+            if (this.mobileVerification && this.mobileVerification.mobile !== mobileDigits()) {
+                this.mobileVerification = null;
+            }
+        });
+
+        if (!document.querySelector('#otp-styles')) {
+            const style = document.createElement('style');
+            style.id = 'otp-styles';
+            style.textContent = `
+                .otp-controls {
+                    display: flex;
+                    gap: 10px;
+                    margin-top: 10px;
+                }
+                .otp-controls .form-control {
+                    flex: 1;
+                    letter-spacing: 4px;
+                }
+            `;
+            document.head.appendChild(style);
+        }
+    }
+
+    // Forget picked files (after a successful submission)
+    clearAttachments() {
+        this.attachments = {};
+        this.form.querySelectorAll('.attachment-preview').forEach(preview => {
+            preview.innerHTML = '';
+        });
+    }
+
+    // Current values of every named field, filled or not
+    collectFieldValues() {
+        const values = {};
+        this.form.querySelectorAll('input[name], select[name], textarea[name]').forEach(input => {
+            if (input.value.trim() !== '') {
+                values[input.name] = input.value.trim();
+            }
+        });
+        return values;
+    }
+
+    async saveDraft() {
+        const values = this.collectFieldValues();
+        if (Object.keys(values).length === 0) {
+            Utils.showAlert('error', 'कम से कम एक फ़ील्ड भरें');
+            return;
+        }
+
+        const loading = Utils.showLoading(null, 'Saving draft...');
+
+        try {
+            const result = await this.api.saveDraft(values, this.draftCode);
+            this.draftCode = result.data.code;
+
+            const expires = new Date(result.data.expiresAt).toLocaleDateString('hi-IN');
+            Utils.showAlert('success',
+                `Draft saved. Your resume code: <span class="draft-code">${result.data.code}</span><br>` +
+                `इस कोड को लिख लें (${expires} तक मान्य)`, 0);
+
+            Utils.copyToClipboard(result.data.code).catch(() => {});
+
+        } catch (error) {
+            Utils.showAlert('error', `Could not save draft: ${error.message}`);
+            Utils.error('Save draft error:', error);
+
+        } finally {
+            Utils.hideLoading(loading);
+        }
+    }
+
+    async resumeDraft(code) {
+        if (!code) {
+            Utils.showAlert('error', 'Resume code दर्ज करें');
+            return;
+        }
+
+        const loading = Utils.showLoading(null, 'Loading draft...');
+
+        try {
+            const result = await this.api.getDraft(code);
+            const values = result.data.data;
+
+            Object.entries(values).forEach(([name, value]) => {
+                const input = this.form.querySelector(`[name="${name}"]`);
+                if (input) {
+                    input.value = value;
+                    this.validateField(input);
+                }
+            });
+
+            this.draftCode = result.data.code;
+            // Aadhar is never kept in drafts
+            Utils.showAlert('success', '✅ Draft restored. Aadhar नंबर दोबारा भरें और बाकी जानकारी भरकर सबमिट करें।');
+
+        } catch (error) {
+            Utils.showAlert('error', 'Draft not found or expired / ड्राफ्ट नहीं मिला');
+            Utils.error('Resume draft error:', error);
+
+        } finally {
+            Utils.hideLoading(loading);
+        }
+    }
+
+    getSchemaField(name) {
+        if (!this.schema) return null;
+        return this.schema.fields.find(field => field.name === name) || null;
+    }
+
     addValidationStyles() {
         const style = document.createElement('style');
         style.textContent = `
@@ -468,7 +988,7 @@ class FormHandler {
     }
 
     addRealTimeValidation() {
-        const inputs = this.form.querySelectorAll('input[required]');
+        const inputs = this.form.querySelectorAll('input[required], select[required], textarea[required]');
         inputs.forEach(input => {
             // Blur validation
             input.addEventListener('blur', () => {
@@ -523,8 +1043,14 @@ class FormHandler {
     }
 
     validateField(input) {
+        const validators = Utils.validators;
         const value = input.value.trim();
         const fieldName = input.name;
+
+        // Format rules still loading, the submit handler waits for them
+        if (!validators && ['mobile', 'aadhar', 'dob'].includes(fieldName)) {
+            return true;
+        }
         let isValid = true;
         let errorMessage = '';
 
@@ -538,16 +1064,14 @@ class FormHandler {
                 break;
 
             case 'mobile':
-                const mobileRegex = /^[6-9]\d{9}$/;
-                if (!mobileRegex.test(value.replace(/\D/g, ''))) {
+                if (!validators.validateIndianMobile(value)) {
                     isValid = false;
                     errorMessage = 'मान्य मोबाइल नंबर दर्ज करें';
                 }
                 break;
 
             case 'aadhar':
-                const aadharRegex = /^\d{12}$/;
-                if (!aadharRegex.test(value.replace(/\D/g, ''))) {
+                if (!validators.validateAadhar(value)) {
                     isValid = false;
                     errorMessage = 'मान्य 12-अंकीय आधार नंबर';
                 }
@@ -557,12 +1081,19 @@ class FormHandler {
                 if (!value) {
                     isValid = false;
                     errorMessage = 'जन्म तिथि आवश्यक है';
-                } else {
-                    const dob = new Date(value);
-                    const today = new Date();
-                    if (dob > today) {
+                } else if (!validators.validateDOB(value)) {
+                    isValid = false;
+                    errorMessage = 'मान्य जन्म तिथि दर्ज करें';
+                }
+                break;
+
+            default:
+                const schemaField = this.getSchemaField(fieldName);
+                if (schemaField) {
+                    const error = Utils.validateSchemaField(schemaField, value);
+                    if (error) {
                         isValid = false;
-                        errorMessage = 'भविष्य की तिथि नहीं हो सकती';
+                        errorMessage = error;
                     }
                 }
                 break;
@@ -596,9 +1127,17 @@ class FormHandler {
 
     async handleSubmit(event) {
         event.preventDefault();
+
+        try {
+            await Utils.loadValidators();
+        } catch (error) {
+            Utils.showAlert('error', 'Could not load validation rules. Please refresh the page.');
+            Utils.error('Failed to load validators:', error);
+            return;
+        }
         
         // Validate all fields
-        const inputs = this.form.querySelectorAll('input[required]');
+        const inputs = this.form.querySelectorAll('input[required], select[required], textarea[required]');
         let allValid = true;
         
         inputs.forEach(input => {
@@ -621,8 +1160,40 @@ class FormHandler {
             aadhar: this.form.querySelector('[name="aadhar"]').value.replace(/\D/g, '')
         };
 
+        // Include any extra schema fields
+        if (this.schema) {
+            this.schema.fields.forEach(field => {
+                const input = this.form.querySelector(`[name="${field.name}"]`);
+                if (input && formData[field.name] === undefined) {
+                    formData[field.name] = input.value.trim();
+                }
+            });
+        }
+
+        // Parental consent, recorded against the notice version loaded with the form
+        const consent = this.form.querySelector('[name="consent"]');
+        if (consent) {
+            formData.consent = consent.checked;
+            formData.consentVersion = this.privacyVersion;
+            formData.consentLanguage = document.documentElement.lang === 'en' ? 'en' : 'hi';
+        }
+
+        // Let the server discard the draft this was resumed from
+        if (this.draftCode) {
+            formData.draftCode = this.draftCode;
+        }
+
+        // Proof that the mobile was confirmed by OTP
+        if (this.otpControls) {
+            if (!this.mobileVerification || this.mobileVerification.mobile !== formData.mobile) {
+                Utils.showAlert('error', 'पहले मोबाइल नंबर OTP से सत्यापित करें');
+                return;
+            }
+            formData.mobileVerificationToken = this.mobileVerification.token;
+        }
+
         // Validate complete data
-        const validation = Utils.validateFormData(formData);
+        const validation = Utils.validateFormData(formData, this.schema);
         if (!validation.isValid) {
             Utils.showAlert('error', validation.errors[0]);
             return;
@@ -633,14 +1204,29 @@ class FormHandler {
 
         try {
             // Submit form
-            const result = await this.api.submitForm(formData);
+            const result = await this.api.submitForm(formData, this.attachments);
             
             if (result.success) {
-                // Success
-                Utils.showAlert('success', '✅ Form successfully submitted!');
+                // Success (past the form's capacity the registration is waitlisted)
+                const submitted = result.data && result.data.waitlisted
+                    ? '📋 Submitted: all seats are taken, you are on the waitlist'
+                    : '✅ Form successfully submitted!';
+                if (result.data && result.data.editToken) {
+                    const editUrl = `${window.location.origin}/edit.html#token=${encodeURIComponent(result.data.editToken)}`;
+                    Utils.showAlert('success',
+                        `${submitted}<br>` +
+                        `गलती सुधारने के लिए यह लिंक सुरक्षित रखें: <a href="${editUrl}">${editUrl}</a>` +
+                        '<div class="receipt-slot"></div>', 0);
+                    this.addReceiptActions(result.data);
+                } else {
+                    Utils.showAlert('success', submitted);
+                }
+                this.draftCode = null;
+                this.mobileVerification = null;
                 
                 // Reset form
                 this.form.reset();
+                this.clearAttachments();
                 
                 // Remove validation classes
                 this.form.querySelectorAll('.is-valid, .is-invalid').forEach(el => {
@@ -660,7 +1246,11 @@ class FormHandler {
             }
             
         } catch (error) {
-            Utils.showAlert('error', `Submission failed: ${error.message}`);
+            if (error.errors) {
+                await this.showServerErrors(error.errors);
+            } else {
+                Utils.showAlert('error', `Submission failed: ${error.message}`);
+            }
             Utils.error('Form submission error:', error);
             
         } finally {
@@ -668,6 +1258,48 @@ class FormHandler {
         }
     }
 
+    // Mark each input the server rejected, with the message for its error code
+    async showServerErrors(errors) {
+        let formatError;
+        try {
+            ({ formatError } = await import(CONFIG.MESSAGES_MODULE));
+        } catch (error) {
+            Utils.error('Failed to load messages:', error);
+            Utils.showAlert('error', errors.map(e => Utils.escapeHtml(e.message)).join('<br>'));
+            return;
+        }
+
+        const unmatched = [];
+        errors.forEach(error => {
+            const field = this.getSchemaField(error.field);
+            const label = field ? (field.label.hi || field.label.en) : error.field;
+            const message = formatError(error, 'hi', label);
+            const input = this.form.querySelector(`[name="${error.field}"]`);
+
+            if (input) {
+                this.updateFieldValidation(input, false, message);
+            } else {
+                unmatched.push(message);
+            }
+        });
+
+        Utils.showAlert('error', ['कृपया चिह्नित फ़ील्ड सुधारें', ...unmatched].map(Utils.escapeHtml).join('<br>'));
+    }
+
+    // Download/print buttons for the acknowledgement slip in the success alert
+    async addReceiptActions(data) {
+        const slot = document.querySelector('.global-alert .receipt-slot');
+        if (!slot) return;
+
+        try {
+            const { createReceiptActions } = await import(CONFIG.RECEIPT_MODULE);
+            // Errors in a dialog, so the alert holding the edit link stays up
+            createReceiptActions(slot, data.id, data.editToken, (type, message) => window.alert(message));
+        } catch (error) {
+            Utils.error('Failed to load receipt actions:', error);
+        }
+    }
+
     showSuccessAnimation() {
         const formContainer = this.form.closest('.form-container');
         if (!formContainer) return;
@@ -748,8 +1380,9 @@ class FormHandler {
 // ==================== ADMIN DASHBOARD ====================
 class AdminDashboard {
     constructor() {
-        this.api = new ApiService();
+        this.api = new ApiService(localStorage.getItem('adminFormId') || 'default');
         this.responses = [];
+        this.revealed = {}; // response ID -> { values, until }
         this.autoRefreshInterval = null;
         this.lastUpdateTime = null;
         this.init();
@@ -897,6 +1530,9 @@ class AdminDashboard {
             logoutBtn.addEventListener('click', () => this.logout());
         }
         
+        // Add form switcher
+        this.addFormSwitcher();
+        
         // Add search functionality
         this.addSearchFunctionality();
         
@@ -935,6 +1571,43 @@ class AdminDashboard {
         urlDisplay.parentNode.insertBefore(copyBtn, urlDisplay.nextSibling);
     }
 
+    async addFormSwitcher() {
+        const controls = document.querySelector('.header-controls');
+        if (!controls) return;
+
+        const switcher = document.createElement('select');
+        switcher.id = 'formSwitcher';
+        switcher.className = 'filter-select';
+        switcher.title = 'Switch form';
+        controls.insertBefore(switcher, controls.firstChild);
+
+        try {
+            const result = await this.api.getForms();
+            result.data.forEach(form => {
+                const option = document.createElement('option');
+                option.value = form.id;
+                option.textContent = form.title;
+                switcher.appendChild(option);
+            });
+
+            if (!result.data.some(form => form.id === this.api.formId)) {
+                this.api.setForm('default');
+            }
+            switcher.value = this.api.formId;
+            this.updateFormUrl();
+        } catch (error) {
+            Utils.error('Failed to load forms:', error);
+        }
+
+        switcher.addEventListener('change', () => {
+            this.api.setForm(switcher.value);
+            localStorage.setItem('adminFormId', switcher.value);
+            this.responses = [];
+            this.updateFormUrl();
+            this.loadResponses(true);
+        });
+    }
+
     addSearchFunctionality() {
         const searchContainer = document.createElement('div');
         searchContainer.className = 'search-container';
@@ -1140,13 +1813,18 @@ class AdminDashboard {
                         <small>${Utils.getTimeAgo(response.timestamp)}</small>
                     </td>
                     <td>
-                        <strong>${response.name}</strong>
+                        <strong>${Utils.escapeHtml(response.name)}</strong>
+                        ${response.duplicateOf ? '<span class="duplicate-badge">Duplicate</span>' : ''}
                     </td>
-                    <td>${response.dob}</td>
-                    <td>${Utils.formatMobile(response.mobile)}</td>
-                    <td>${response.father}</td>
+                    <td>${Utils.escapeHtml(response.dob)}</td>
+                    <td>${Utils.formatMobile(this.shownValue(response, 'mobile'))}</td>
+                    <td>${Utils.escapeHtml(response.father)}</td>
                     <td class="aadhar-cell">
-                        ${Utils.formatAadhar(response.aadhar)}
+                        ${Utils.formatAadhar(this.shownValue(response, 'aadhar'))}
+                        ${this.revealed[response.id] ? '' : `
+                        <button class="reveal-btn" title="Show full Aadhar and mobile (logged)">
+                            <i class="fas fa-eye"></i>
+                        </button>`}
                     </td>
                 </tr>
             `;
@@ -1156,6 +1834,40 @@ class AdminDashboard {
         
         // Add row click handlers
         this.addRowClickHandlers();
+        this.addRevealHandlers();
+    }
+
+    // Revealed value while it lasts, otherwise the masked one from the API
+    shownValue(response, field) {
+        const entry = this.revealed[response.id];
+        if (entry && entry.until < Date.now()) {
+            delete this.revealed[response.id];
+            return response[field];
+        }
+        return entry ? entry.values[field] : response[field];
+    }
+
+    addRevealHandlers() {
+        document.querySelectorAll('#responseBody .reveal-btn').forEach(button => {
+            button.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await this.revealResponse(button.closest('tr').dataset.id);
+            });
+        });
+    }
+
+    async revealResponse(responseId) {
+        try {
+            const result = await this.api.revealResponse(responseId);
+            this.revealed[responseId] = {
+                values: result.data,
+                until: Date.now() + CONFIG.REVEAL_DURATION
+            };
+            this.displayResponses(this.responses);
+        } catch (error) {
+            Utils.showAlert('error', `Failed to reveal: ${error.message}`);
+            Utils.error('Reveal error:', error);
+        }
     }
 
     addRowClickHandlers() {
@@ -1168,6 +1880,35 @@ class AdminDashboard {
         });
     }
 
+    // Thumbnails and download links for uploaded files
+    renderAttachments(response) {
+        const attachments = response.attachments || {};
+        const slots = Object.keys(attachments);
+        if (slots.length === 0) return '';
+
+        const labels = { photo: 'Photo', document: 'Document' };
+        const items = slots.map(slot => {
+            const info = attachments[slot];
+            const url = `${CONFIG.API_BASE}/responses/${encodeURIComponent(response.id)}/attachments/${slot}`;
+            const preview = info.contentType.startsWith('image/')
+                ? `<a href="${url}" target="_blank" rel="noopener"><img class="attachment-thumb" src="${url}" alt="${labels[slot] || slot}" loading="lazy"></a>`
+                : `<a href="${url}" target="_blank" rel="noopener" class="attachment-file"><i class="fas fa-file-pdf"></i> PDF</a>`;
+
+            return `
+                <div class="attachment-item">
+                    ${preview}
+                    <div class="attachment-meta">
+                        <strong>${labels[slot] || slot}</strong>
+                        <span>${Math.ceil(info.size / 1024)} KB</span>
+                        <a href="${url}?download=1"><i class="fas fa-download"></i> Download</a>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        return `<div class="attachments">${items}</div>`;
+    }
+
     toggleRowDetails(row) {
         const detailsRow = row.nextElementSibling;
         
@@ -1194,7 +1935,7 @@ class AdminDashboard {
                                 <h4>Response Details</h4>
                                 <div class="details-grid">
                                     <div class="detail-item">
-                                        <span>IP Address:</span> ${response.ip || 'N/A'}
+                                        <span>IP Address:</span> ${Utils.escapeHtml(response.ip || 'N/A')}
                                     </div>
                                     <div class="detail-item">
                                         <span>Response ID:</span> ${response.id}
@@ -1202,7 +1943,12 @@ class AdminDashboard {
                                     <div class="detail-item">
                                         <span>Submitted:</span> ${Utils.formatDate(response.timestamp)}
                                     </div>
+                                    ${response.duplicateOf ? `
+                                    <div class="detail-item">
+                                        <span>Duplicate of:</span> ${Utils.escapeHtml(response.duplicateOf)} (${response.duplicateMatchedOn.join(', ')})
+                                    </div>` : ''}
                                 </div>
+                                ${this.renderAttachments(response)}
                                 <div class="detail-actions">
                                     <button class="btn btn-secondary copy-details">
                                         <i class="fas fa-copy"></i> Copy Details
@@ -1334,7 +2080,9 @@ Response ID: ${response.id}
     updateFormUrl() {
         const formUrlElement = document.getElementById('formUrl');
         if (formUrlElement) {
-            formUrlElement.textContent = window.location.origin;
+            formUrlElement.textContent = this.api.formId === 'default'
+                ? window.location.origin
+                : `${window.location.origin}/?form=${this.api.formId}`;
         }
     }
 
@@ -1520,18 +2268,17 @@ Response ID: ${response.id}
             const headers = ['Timestamp', 'Name', 'Date of Birth', 'Mobile No', 'Father Name', 'Aadhar No', 'IP Address'];
             const rows = this.responses.map(response => [
                 Utils.formatDate(response.timestamp),
-                `"${response.name}"`,
+                response.name,
                 response.dob,
-                `"${Utils.formatMobile(response.mobile)}"`,
-                `"${response.father}"`,
-                `"${Utils.formatAadhar(response.aadhar)}"`,
+                Utils.formatMobile(response.mobile),
+                response.father,
+                Utils.formatAadhar(response.aadhar),
                 response.ip || 'N/A'
             ]);
             
-            const csvContent = [
-                headers.join(','),
-                ...rows.map(row => row.join(','))
-            ].join('\n');
+            const csvContent = [headers, ...rows]
+                .map(row => row.map(Utils.csvCell).join(','))
+                .join('\n');
             
             // Create and download file
             const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -1539,7 +2286,8 @@ Response ID: ${response.id}
             const link = document.createElement('a');
             
             link.href = url;
-            link.setAttribute('download', `student_responses_${new Date().toISOString().split('T')[0]}.csv`);
+            const filePrefix = this.api.formId === 'default' ? 'student_responses' : `${this.api.formId}_responses`;
+            link.setAttribute('download', `${filePrefix}_${new Date().toISOString().split('T')[0]}.csv`);
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
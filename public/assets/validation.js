@@ -0,0 +1,185 @@
+// Field rules shared by the browser and the Functions (functions/_lib/validation.js).
+// Plain ES module with no dependencies so both sides load the same file.
+
+// Verhoeff dihedral group multiplication table
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+// Verhoeff position permutation table
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// Oldest date of birth accepted, in years before today
+const MAX_AGE_YEARS = 100;
+
+// IST offset, so "today" is the same date in the browser and on the server
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Names: words of letters (any script) and combining marks, separated by spaces,
+// apostrophes, hyphens or dots, e.g. "D'Souza", "Mary-Ann", "A. K. Singh", "सुरेश".
+// ZWNJ/ZWJ select conjunct forms in Indic scripts, so they belong to a word.
+const NAME_PATTERN = /^\p{L}[\p{L}\p{M}\u200C\u200D]*(?:[ '\u2019.\-]+[\p{L}\p{M}\u200C\u200D]*)*$/u;
+
+// C0/C1 control characters except tab and newline
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F]/;
+
+// Strip spaces, dashes and anything else that is not a digit
+export function digitsOnly(value) {
+    return (value === undefined || value === null) ? '' : value.toString().replace(/\D/g, '');
+}
+
+// True if a digit string ends in a correct Verhoeff check digit
+export function verhoeffCheck(digits) {
+    let checksum = 0;
+    const reversed = digits.split('').reverse();
+
+    for (let i = 0; i < reversed.length; i++) {
+        checksum = VERHOEFF_D[checksum][VERHOEFF_P[i % 8][parseInt(reversed[i], 10)]];
+    }
+
+    return checksum === 0;
+}
+
+// Aadhaar: 12 digits, never starting with 0 or 1, Verhoeff check digit last
+export function validateAadhar(aadhar) {
+    const cleaned = digitsOnly(aadhar);
+    if (!/^[2-9]\d{11}$/.test(cleaned)) return false;
+    return verhoeffCheck(cleaned);
+}
+
+// Indian mobile: 10 digits starting 6-9, after stripping separators
+export function validateIndianMobile(mobile) {
+    return /^[6-9]\d{9}$/.test(digitsOnly(mobile));
+}
+
+// Today's calendar date in India as YYYY-MM-DD
+export function todayIST(now = new Date()) {
+    return new Date(now.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// Date of birth: a real YYYY-MM-DD date, not in the future, at most 100 years ago
+export function validateDOB(dob, now = new Date()) {
+    const value = (dob === undefined || dob === null) ? '' : dob.toString().trim();
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return false;
+
+    // Reject dates that roll over, e.g. 2010-02-30
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    if (date.toISOString().slice(0, 10) !== value) return false;
+
+    const today = todayIST(now);
+    if (value > today) return false;
+
+    const oldest = `${parseInt(today.slice(0, 4), 10) - MAX_AGE_YEARS}${today.slice(4)}`;
+    if (value < oldest) return false;
+
+    return true;
+}
+
+// Canonical form of free text: NFC (so "é" typed two ways is stored once), trimmed
+export function normalizeText(value) {
+    return (value === undefined || value === null) ? '' : value.toString().normalize('NFC').trim();
+}
+
+// Canonical form of a name: normalised text with runs of whitespace collapsed
+export function normalizeName(value) {
+    return normalizeText(value).replace(/\s+/g, ' ');
+}
+
+// True if the text contains control characters (tab and newline are allowed)
+export function hasControlCharacters(value) {
+    return CONTROL_CHARACTERS.test(value);
+}
+
+// Person's name in any script; normalise with normalizeName() first
+export function validateName(name) {
+    return NAME_PATTERN.test(normalizeName(name));
+}
+
+// Number of days in a month (1-12)
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Age on a date in completed years and months plus days, both YYYY-MM-DD.
+// A month is complete on the same day of the month, or on the last day of a
+// shorter month (born 31 Jan: one month old on 28/29 Feb). null if born after the date.
+export function ageOn(dob, onDate) {
+    const [birthYear, birthMonth, birthDay] = dob.split('-').map(Number);
+    const [year, month, day] = onDate.split('-').map(Number);
+
+    let totalMonths = (year - birthYear) * 12 + (month - birthMonth);
+    if (day < Math.min(birthDay, daysInMonth(year, month))) totalMonths--;
+    if (totalMonths < 0) return null;
+
+    // Days since the last monthly anniversary
+    const index = birthMonth - 1 + totalMonths;
+    const anniversaryYear = birthYear + Math.floor(index / 12);
+    const anniversaryMonth = index % 12 + 1;
+    const anniversary = Date.UTC(anniversaryYear, anniversaryMonth - 1,
+        Math.min(birthDay, daysInMonth(anniversaryYear, anniversaryMonth)));
+
+    return {
+        years: Math.floor(totalMonths / 12),
+        months: totalMonths % 12,
+        days: Math.round((Date.UTC(year, month - 1, day) - anniversary) / 86400000)
+    };
+}
+
+// Age bounds that apply to an applicant under a schema's `ageRule`: the
+// `byValue` entry for their answer to `byField` if there is one (it replaces
+// the form-wide bounds), else the rule's own minAge/maxAge. null if none apply.
+export function resolveAgeRule(rule, data = {}) {
+    if (!rule) return null;
+
+    const specific = rule.byField && rule.byValue ? rule.byValue[data[rule.byField]] : undefined;
+    const bounds = specific || rule;
+    if (!bounds.minAge && !bounds.maxAge) return null;
+
+    return {
+        cutoffDate: bounds.cutoffDate || rule.cutoffDate,
+        minAge: bounds.minAge || null,
+        maxAge: bounds.maxAge || null
+    };
+}
+
+function totalMonths(age) {
+    return (age.years || 0) * 12 + (age.months || 0);
+}
+
+// Check a valid date of birth against a schema's `ageRule`: the completed age
+// on the cutoff date must be at least minAge and at most maxAge. Returns
+// null, or { code: 'too_young' | 'too_old', params: { years, months, cutoff } }.
+export function checkAgeRule(rule, dob, data = {}) {
+    const bounds = resolveAgeRule(rule, data);
+    if (!bounds) return null;
+
+    const age = ageOn(dob, bounds.cutoffDate);
+    const months = age ? totalMonths(age) : -1;
+    const limit = (code, bound) => ({
+        code: code,
+        params: { years: bound.years || 0, months: bound.months || 0, cutoff: bounds.cutoffDate }
+    });
+
+    if (bounds.minAge && months < totalMonths(bounds.minAge)) return limit('too_young', bounds.minAge);
+    if (bounds.maxAge && months > totalMonths(bounds.maxAge)) return limit('too_old', bounds.maxAge);
+    return null;
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// Admission-day load test: fire N registrations at /api/submit at the same
+// moment and check that the admin listing grows by exactly N.
+//
+//   node scripts/load-test.mjs [--url http://localhost:8788] [--count 50] [--form default]
+//
+// Run it against a local `wrangler pages dev` (or a staging deployment) set up so
+// the checks in front of submit let a single machine through:
+//
+//   wrangler pages dev public --kv KV_RESPONSES \
+//       --binding ADMIN_PASSWORD=<password> RATE_LIMIT_SUBMIT=1000/60 \
+//       RATE_LIMIT_OTP=1000/60 SMS_PROVIDER=loopback SMS_DEV_MODE=true
+//
+// and pass the admin password as ADMIN_PASSWORD in this script's environment.
+// The proof-of-work bot check is solved here; Turnstile has to be switched off
+// (CHALLENGE_PROVIDER=pow or none). OTPs are completed through the loopback
+// SMS provider when the form requires them.
+
+import { createHash } from 'node:crypto';
+import { validateAadhar } from '../public/assets/validation.js';
+
+const args = Object.fromEntries(
+    process.argv.slice(2).reduce((pairs, arg, i, all) => {
+        if (arg.startsWith('--')) pairs.push([arg.slice(2), all[i + 1]]);
+        return pairs;
+    }, [])
+);
+
+const BASE_URL = (args.url || 'http://localhost:8788').replace(/\/$/, '');
+const COUNT = parseInt(args.count || '50', 10);
+const FORM_ID = args.form || 'default';
+const FORM_API = `${BASE_URL}/api/forms/${encodeURIComponent(FORM_ID)}`;
+const SETTLE_TIMEOUT_MS = 90 * 1000; // KV listings can trail writes by up to a minute
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    return { response, result: await response.json() };
+}
+
+// Unique, checksum-valid test identities
+function makeStudent(i) {
+    const stem = `9${String(Date.now()).slice(-6)}${String(i).padStart(4, '0')}`;
+    let aadhar = null;
+    for (let digit = 0; digit <= 9 && !aadhar; digit++) {
+        if (validateAadhar(stem + digit)) aadhar = stem + digit;
+    }
+
+    return {
+        name: `Load Test ${i}`,
+        dob: '2008-06-15',
+        mobile: `9${String(Date.now()).slice(-5)}${String(i).padStart(4, '0')}`,
+        father: 'Load Test Parent',
+        aadhar: aadhar
+    };
+}
+
+function solveProofOfWork(ticket, difficulty) {
+    for (let solution = 0; ; solution++) {
+        const digest = createHash('sha256').update(`${ticket}:${solution}`).digest();
+        let bits = 0;
+        for (const byte of digest) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            bits += Math.clz32(byte) - 24;
+            break;
+        }
+        if (bits >= difficulty) return String(solution);
+    }
+}
+
+// Bot-check fields, as the form page would send them
+async function prepareChallenge() {
+    const response = await fetch(`${BASE_URL}/api/challenge`);
+    const { data } = await response.json();
+    if (data.provider === 'turnstile') {
+        throw new Error('Turnstile cannot be automated; run with CHALLENGE_PROVIDER=pow or none');
+    }
+
+    const fields = { challengeTicket: data.ticket };
+    if (data.provider === 'pow') {
+        fields.challengeSolution = solveProofOfWork(data.ticket, data.difficulty);
+    }
+    return { fields, minFillSeconds: data.minFillSeconds };
+}
+
+// Sending an OTP takes a bot-check ticket of its own
+async function verifyMobile(mobile, challengeFields) {
+    const sent = await postJson(`${BASE_URL}/api/otp/send`, { mobile, ...challengeFields });
+    if (!sent.result.success || !sent.result.data.devCode) {
+        throw new Error(`OTP send failed (${sent.result.error || 'use SMS_PROVIDER=loopback with SMS_DEV_MODE=true'})`);
+    }
+    const verified = await postJson(`${BASE_URL}/api/otp/verify`, { mobile, code: sent.result.data.devCode });
+    if (!verified.result.success) {
+        throw new Error(`OTP verify failed: ${verified.result.error}`);
+    }
+    return verified.result.data.verificationToken;
+}
+
+async function adminCookie() {
+    const { response, result } = await postJson(`${BASE_URL}/api/login`, { password: process.env.ADMIN_PASSWORD || 'admin123' });
+    if (!result.success) {
+        throw new Error(`Admin login failed: ${result.error}`);
+    }
+    return response.headers.get('set-cookie').split(';')[0];
+}
+
+async function countListed(cookie) {
+    const response = await fetch(`${FORM_API}/responses?limit=1&t=${Date.now()}`, { headers: { Cookie: cookie } });
+    const result = await response.json();
+    return { listed: result.pagination.totalItems, total: result.stats.total };
+}
+
+async function main() {
+    const cookie = await adminCookie();
+    const before = await countListed(cookie);
+
+    const schema = await (await fetch(`${FORM_API}/schema`)).json();
+    const needsOtp = schema.requirements && schema.requirements.mobileOtp;
+
+    console.log(`Preparing ${COUNT} submissions for form "${FORM_ID}" (${before.listed} already listed)...`);
+    const students = [];
+    const otpChallenges = [];
+    let minFillSeconds = 0;
+    for (let i = 0; i < COUNT; i++) {
+        const student = makeStudent(i);
+        const challenge = await prepareChallenge();
+        minFillSeconds = challenge.minFillSeconds;
+        Object.assign(student, challenge.fields);
+        if (needsOtp) {
+            otpChallenges.push((await prepareChallenge()).fields);
+        }
+        students.push(student);
+    }
+
+    // Nobody fills the form faster than this
+    await sleep((minFillSeconds + 1) * 1000);
+
+    if (needsOtp) {
+        for (const [i, student] of students.entries()) {
+            student.mobileVerificationToken = await verifyMobile(student.mobile, otpChallenges[i]);
+        }
+    }
+
+    console.log(`Submitting ${COUNT} registrations in parallel...`);
+    const started = Date.now();
+    const outcomes = await Promise.all(students.map(student =>
+        postJson(`${FORM_API}/submit`, student)
+            .then(({ response, result }) => ({ status: response.status, result }))
+            .catch(error => ({ status: 0, result: { error: error.message } }))
+    ));
+    const accepted = outcomes.filter(outcome => outcome.status === 201).length;
+    console.log(`${accepted}/${COUNT} accepted in ${Date.now() - started} ms`);
+
+    outcomes.filter(outcome => outcome.status !== 201).slice(0, 5).forEach(outcome => {
+        console.log(`  rejected (${outcome.status}): ${outcome.result.error || JSON.stringify(outcome.result.errors)}`);
+    });
+
+    // Wait for the listing to catch up
+    const deadline = Date.now() + SETTLE_TIMEOUT_MS;
+    let after = await countListed(cookie);
+    while (after.listed - before.listed < accepted && Date.now() < deadline) {
+        await sleep(6000); // past the 5 second response cache
+        after = await countListed(cookie);
+    }
+
+    const grew = after.listed - before.listed;
+    console.log(`Listed: ${before.listed} -> ${after.listed} (+${grew}), stats.total: ${before.total} -> ${after.total}`);
+
+    if (accepted !== COUNT || grew !== COUNT || after.total - before.total !== COUNT) {
+        console.error(`FAIL: expected ${COUNT} new listed records`);
+        process.exit(1);
+    }
+    console.log('PASS');
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
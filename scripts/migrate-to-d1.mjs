@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Copy every KV response record into the D1 database, batch by batch,
+// through POST /api/storage/migrate.
+//
+//   ADMIN_PASSWORD=<password> node scripts/migrate-to-d1.mjs [--url https://<deployment>]
+//
+// 1. Create the database, bind it as DB and apply migrations/
+//    (wrangler d1 migrations apply <database name>).
+// 2. Run this script; it is safe to run again if interrupted.
+// 3. Set STORAGE_BACKEND = "d1" and redeploy. Admins log in again, since
+//    sessions are not copied.
+
+const urlArg = process.argv.indexOf('--url');
+const BASE_URL = (urlArg > -1 ? process.argv[urlArg + 1] : 'http://localhost:8788').replace(/\/$/, '');
+
+async function adminCookie() {
+    const response = await fetch(`${BASE_URL}/api/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: process.env.ADMIN_PASSWORD || 'admin123' })
+    });
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(`Admin login failed: ${result.error}`);
+    }
+    return response.headers.get('set-cookie').split(';')[0];
+}
+
+async function main() {
+    const cookie = await adminCookie();
+    let cursor = null;
+    let total = 0;
+
+    do {
+        const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+        const response = await fetch(`${BASE_URL}/api/storage/migrate${query}`, {
+            method: 'POST',
+            headers: { Cookie: cookie }
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(`Migration failed after ${total} records: ${result.error}`);
+        }
+
+        total += result.data.processed;
+        cursor = result.data.cursor;
+        console.log(`${total} records processed so far...`);
+    } while (cursor);
+
+    console.log(`Done: ${total} records are in D1`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
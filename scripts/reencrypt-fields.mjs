@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Encrypt every stored response with the current field encryption key,
+// batch by batch, through POST /api/storage/reencrypt.
+//
+//   ADMIN_PASSWORD=<password> node scripts/reencrypt-fields.mjs [--url https://<deployment>]
+//
+// Run it after first setting FIELD_ENCRYPTION_KEYS (to encrypt existing
+// records), after adding a new key version, or after changing ENCRYPTED_FIELDS.
+// It is safe to run again if interrupted. Remove an old key only once a run
+// reports 0 records updated.
+
+const urlArg = process.argv.indexOf('--url');
+const BASE_URL = (urlArg > -1 ? process.argv[urlArg + 1] : 'http://localhost:8788').replace(/\/$/, '');
+
+async function adminCookie() {
+    const response = await fetch(`${BASE_URL}/api/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: process.env.ADMIN_PASSWORD || 'admin123' })
+    });
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(`Admin login failed: ${result.error}`);
+    }
+    return response.headers.get('set-cookie').split(';')[0];
+}
+
+async function main() {
+    const cookie = await adminCookie();
+    let cursor = null;
+    let processed = 0;
+    let updated = 0;
+
+    do {
+        const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+        const response = await fetch(`${BASE_URL}/api/storage/reencrypt${query}`, {
+            method: 'POST',
+            headers: { Cookie: cookie }
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(`Re-encryption failed after ${processed} records: ${result.error}`);
+        }
+
+        processed += result.data.processed;
+        updated += result.data.updated;
+        cursor = result.data.cursor;
+        console.log(`${processed} records checked, ${updated} re-encrypted so far...`);
+    } while (cursor);
+
+    console.log(`Done: ${processed} records checked, ${updated} re-encrypted`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});